@@ -0,0 +1,88 @@
+/**
+ * Higher-order component to turn any Component class into an error boundary. An
+ * error boundary catches errors thrown by its descendants -- the components constructed
+ * while it initializes or composes, and their descendants in turn -- while they
+ * compose, generate styles or handle events. When a descendant fails, the boundary
+ * renders `#fallback()` in place of the VDOM from its `#compose()`, until `#retry()`.
+ *
+ * While it's showing its fallback, the boundary exposes the caught error as `#error`,
+ * and the name of the component that threw it as `#errorComponentName`.
+ *
+ * @param {*} Base
+ * @returns Error boundary Component class.
+ */
+export const ErrorBoundary = (Base) => {
+  return class extends Base {
+    // Note that we can't initialize our error state in `#init()`, because subclasses
+    // override it, and descendants constructed in it may fail before it returns.
+    // Until something fails, `#errorComponent` is undefined.
+    get failed() {
+      return this.errorComponent !== undefined && this.errorComponent !== null;
+    }
+
+    // Called by descendants when they throw. We re-render with our fallback, unless
+    // we haven't rendered yet or are in the middle of rendering, in which case
+    // `#render()` takes care of it.
+    catchError(error, component) {
+      console.error(`${component.constructor.name} error.`, error);
+
+      this.error = error;
+      this.errorComponent = component;
+      this.errorComponentName = component.constructor.name;
+
+      if (this.node !== undefined && !this.rendering) {
+        this.render();
+      }
+    }
+
+    // Clear the caught error, and try rendering the component that failed, and
+    // then ourselves, again. If it fails again, we go right back to the fallback.
+    retry() {
+      const component = this.errorComponent;
+
+      this.error = null;
+      this.errorComponent = null;
+      this.errorComponentName = null;
+
+      if (component !== undefined && component !== null) {
+        component.render();
+      }
+
+      this.render();
+    }
+
+    // `#fallback()` is passed the caught error and the name of the component that
+    // threw it, and returns the VDOM to show in place of our usual VDOM.
+    fallback(_error, componentName) {
+      return {
+        tag: "p",
+        attrs: { role: "alert" },
+        children: [componentName + " failed to render."],
+      };
+    }
+
+    render(data) {
+      this.rendering = true;
+
+      try {
+        super.render(data);
+      } finally {
+        this.rendering = false;
+      }
+
+      // A descendant may have failed after we composed, like a child constructed
+      // in `#compose()` or a child re-rendered by a lifecycle hook.
+      if (this.failed && !this.showingFallback) {
+        super.render(data);
+      }
+
+      return this.vdom;
+    }
+
+    preprocess(vdom, data) {
+      this.showingFallback = this.failed;
+
+      return super.preprocess(this.failed ? this.fallback(this.error, this.errorComponentName) : vdom, data);
+    }
+  };
+};
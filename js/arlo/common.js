@@ -40,3 +40,80 @@ export const interpolate = (templateParts, dynamicParts) => {
 
   return str;
 };
+
+/**
+ * Shallowly compare two values. Arrays are equal if their items are identical,
+ * and plain objects are equal if they have the same keys with identical values.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns Boolean.
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const aKeys = Object.keys(a);
+  if (aKeys.length !== Object.keys(b).length) {
+    return false;
+  }
+
+  for (const key of aKeys) {
+    if (!Object.prototype.hasOwnProperty.call(b, key) || !Object.is(a[key], b[key])) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Call `fn` with a value once it's available. Promises are waited on, but
+ * synchronous values are handled right away rather than deferred to a microtask.
+ * If the value is a promise that rejects, `onError` is called with the error instead.
+ *
+ * @param {*} value
+ * @param {*} fn
+ * @param {*} onError
+ * @returns Result of `fn`, or a promise of it.
+ */
+export const whenDone = (value, fn, onError) =>
+  isObject(value) && typeof value.then === "function" ? value.then(fn, onError) : fn(value);
+
+/**
+ * True if we're running somewhere with a DOM to render into, like a browser;
+ * false if we're not, like when rendering components to strings in Node.
+ */
+export const hasDOM = typeof document !== "undefined";
+
+/**
+ * The string value an attribute should have in the DOM for a VDOM attribute value,
+ * or null if the attribute should be removed. `false`, `null` and `undefined` all
+ * mean "no attribute", and `true` sets a boolean attribute, like `disabled`.
+ * `aria-*` and `data-*` attributes hold values rather than flags, so booleans are
+ * spelled out as "true" and "false" instead, like `aria-expanded="false"`.
+ *
+ * @param {*} attrName
+ * @param {*} value
+ * @returns String or null.
+ */
+export const attributeValue = (attrName, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === "boolean") {
+    if (attrName.startsWith("aria-") || attrName.startsWith("data-")) {
+      return String(value);
+    }
+
+    return value ? "" : null;
+  }
+
+  return String(value);
+};
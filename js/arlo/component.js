@@ -1,13 +1,6 @@
-import { isObject, normalizeArray } from "./common.js";
+import { attributeValue, hasDOM, isObject, normalizeArray } from "./common.js";
 import { Evented } from "./evented.js";
-
-// Shorthand function for the default, empty event object in `Component`.
-const emptyEvent = () => {
-  return {
-    source: null,
-    handler: () => {},
-  };
-};
+import { cancel, isFlushing, Priority, schedule } from "./scheduler.js";
 
 // `normalizeVDOM` takes a VDOM object (dictionary) and modifies
 // it in place so it has the default VDOM properties, and we don't
@@ -35,23 +28,99 @@ const normalizeVDOM = (vdom) => {
 // and invisible.
 const tempNode = () => document.createComment("");
 
+// Outside of the browser, there's no DOM to render into, so components stand in for
+// their `#node` with a `ComponentStub`. They still compose and preprocess their VDOM
+// as usual, and `renderToString()` follows stubs embedded in a parent's VDOM back to
+// their component. Stubs have an `appendChild`, so they're treated as literal Nodes.
+class ComponentStub {
+  constructor(component) {
+    this.component = component;
+    this.isConnected = false;
+  }
+
+  appendChild() {
+    // there's nothing to append to
+  }
+}
+
 // `opQueue` is a global queue of node-level operations to be performed.
 // These are calculated during the diff, but because operations touching the
 // page DOM are expensive, we defer them until the end of a render pass
 // and run them all at once, asynchronously. Each item in the queue is an array
-// that starts with an opcode (one of the three below), and is followed
+// that starts with an opcode (one of the four below), and is followed
 // by the list of arguments the operation takes. We render all operations in the queue
 // to the DOM before the browser renders the next frame.
 let opQueue = [];
 const OP_APPEND = 0; // append, parent, new
 const OP_REMOVE = 1; // remove, parent, old
 const OP_REPLACE = 2; // replace, old, new
+const OP_INSERT = 3; // insert, parent, new, reference (or null to append)
 
 // This is a stubbed `parentNode`. See below in `runDOMOperations` for why this exists.
 const STUB_PARENT = {
   replaceChild: () => {},
 };
 
+// Callbacks to run once the current `opQueue` has been flushed to the DOM. Components
+// queue their `#updated()` hooks here, so they only run after real DOM insertion.
+let flushCallbacks = [];
+
+// Components with a `#mounted()` hook whose node hasn't been attached to the
+// document yet. After every flush, and whenever the document's tree changes
+// while there are any, we check which of them have been attached.
+// They're held weakly, so a component that's dropped before it's ever attached can
+// still be garbage collected. (A node that may yet be attached keeps its component
+// alive through `componentNodes`.) `pendingMountRefs` finds each component's entry.
+const pendingMounts = new Set();
+const pendingMountRefs = new WeakMap();
+
+const weakRef = (value) => (typeof WeakRef === "function" ? new WeakRef(value) : { deref: () => value });
+
+// Every component's rendered node, mapped back to its component. When hydrating,
+// this is how we recognize a child component's node embedded in its parent's VDOM.
+const componentNodes = new WeakMap();
+
+// Lazily created observer for nodes attached to the document outside of Arlo's
+// control, like an app root attached with `document.body.appendChild(app.node)`.
+let mountObserver = null;
+
+// Fire `#mounted()` on any pending components whose nodes are now in the document.
+const checkMounts = () => {
+  for (const ref of pendingMounts) {
+    const component = ref.deref();
+
+    if (component === undefined) {
+      pendingMounts.delete(ref);
+    } else if (component.node.isConnected) {
+      unwatchMount(component);
+      component.mounted();
+    }
+  }
+
+  if (pendingMounts.size === 0 && mountObserver !== null) {
+    mountObserver.disconnect();
+    mountObserver = null;
+  }
+};
+
+// Start watching for a component's node to be attached to the document.
+const watchMount = (component) => {
+  const ref = weakRef(component);
+  pendingMounts.add(ref);
+  pendingMountRefs.set(component, ref);
+
+  if (mountObserver === null && typeof MutationObserver !== "undefined") {
+    mountObserver = new MutationObserver(checkMounts);
+    mountObserver.observe(document, { childList: true, subtree: true });
+  }
+};
+
+// Stop watching for a component's node to be attached, like when the component is removed.
+const unwatchMount = (component) => {
+  pendingMounts.delete(pendingMountRefs.get(component));
+  pendingMountRefs.delete(component);
+};
+
 // `runDOMOperations` works through the `opQueue` and performs each
 // DOM operation in order they were queued. rDO is called when the reconciler
 // (`render`) reaches the bottom of a render stack (when it's done reconciling
@@ -103,6 +172,10 @@ function runDOMOperations() {
     if (op === OP_APPEND) {
       // Add any node that need to be added
       next[1].appendChild(next[2]);
+    } else if (op === OP_INSERT) {
+      // Insert new or moved keyed children before their reference sibling.
+      // `insertBefore` with a `null` reference is equivalent to `appendChild`.
+      next[1].insertBefore(next[2], next[3]);
     } else if (op === OP_REPLACE) {
       // Replace placeholders with correct nodes. This is
       // equivalent to `parent.replaceChild(newNode, oldNode)`
@@ -111,23 +184,281 @@ function runDOMOperations() {
   }
 
   opQueue = [];
+
+  // Now that the DOM is up to date, run lifecycle hooks, starting with any
+  // newly attached children. We swap out the queue first, since hooks are free
+  // to render components again.
+  if (pendingMounts.size > 0) {
+    checkMounts();
+  }
+
+  const callbacks = flushCallbacks;
+  flushCallbacks = [];
+  for (const callback of callbacks) {
+    callback();
+  }
 }
 
+// **Error boundaries.** Components belong to the error boundary (see `boundary.js`) that
+// was initializing or composing when they were constructed, which is tracked here.
+// Errors thrown while a component composes, or from its event handlers, are handed
+// to its boundary instead of breaking the whole app.
+let currentBoundary = null;
+
+// The component whose VDOM is being rendered or hydrated right now. Event handlers
+// in its VDOM are guarded by its error boundary, if it has one.
+let renderingComponent = null;
+
+// Guarded versions of event handlers, keyed by the component that rendered them and
+// then by handler, so that the same handler always maps to the same listener and
+// can be removed again.
+const guardedListeners = new WeakMap();
+
+// Returns the listener to add to (or remove from) the DOM for a VDOM event handler.
+const guardListener = (handlerFn) => {
+  const owner = renderingComponent;
+
+  if (owner === null || owner.boundary === null) {
+    return handlerFn;
+  }
+
+  if (!guardedListeners.has(owner)) {
+    guardedListeners.set(owner, new WeakMap());
+  }
+
+  const listeners = guardedListeners.get(owner);
+  if (!listeners.has(handlerFn)) {
+    listeners.set(handlerFn, function (evt) {
+      try {
+        return handlerFn.call(this, evt);
+      } catch (e) {
+        owner.boundary.catchError(e, owner);
+      }
+    });
+  }
+
+  return listeners.get(handlerFn);
+};
+
+// Event handlers in VDOM are either functions, or objects like
+// `{ handler, passive, capture, once }` for listeners that need options.
+const isListener = (handler) =>
+  typeof handler === "function" || (isObject(handler) && typeof handler.handler === "function");
+
+// Listener objects are usually written inline in `#compose()`, so they're new objects
+// on every render. Two are the same listener if they have the same handler and options.
+const sameListener = (a, b) =>
+  a === b ||
+  (isObject(a) &&
+    isObject(b) &&
+    a.handler === b.handler &&
+    !a.capture === !b.capture &&
+    !a.passive === !b.passive &&
+    !a.once === !b.once);
+
+const addListener = (node, eventName, handler) => {
+  if (typeof handler === "function") {
+    node.addEventListener(eventName, guardListener(handler));
+  } else {
+    node.addEventListener(eventName, guardListener(handler.handler), {
+      capture: !!handler.capture,
+      passive: !!handler.passive,
+      once: !!handler.once,
+    });
+  }
+};
+
+// Only `capture` identifies a listener when removing it, besides the listener itself.
+const removeListener = (node, eventName, handler) => {
+  if (typeof handler === "function") {
+    node.removeEventListener(eventName, guardListener(handler));
+  } else {
+    node.removeEventListener(eventName, guardListener(handler.handler), !!handler.capture);
+  }
+};
+
 // A function to compare event handlers in `render`
 const diffEvents = (whole, sub, cb) => {
   for (const eventName of Object.keys(whole)) {
     const wholeEvents = normalizeArray(whole[eventName]);
     const subEvents = normalizeArray(sub[eventName] || []);
 
-    for (const handlerFn of wholeEvents) {
+    for (const handler of wholeEvents) {
       // Sometimes, it's nice to be able to pass in non-function values to event
       // objects in VDOM, because we may be toggling the presence of an event listener
-      // with a ternary expression, for example. We only attach function handlers here.
-      if (!subEvents.includes(handlerFn) && typeof handlerFn === "function") {
-        cb(eventName, handlerFn);
+      // with a ternary expression, for example. We only attach listeners here.
+      if (isListener(handler) && !subEvents.some((subHandler) => sameListener(handler, subHandler))) {
+        cb(eventName, handler);
+      }
+    }
+  }
+};
+
+// Style dictionaries may contain CSS custom properties, like `--accent`, which
+// aren't properties of `CSSStyleDeclaration`, and have to be set with `setProperty()`.
+const setStyle = (style, styleKey, value) => {
+  if (styleKey.startsWith("--")) {
+    style.setProperty(styleKey, value === null || value === undefined ? "" : value);
+  } else {
+    style[styleKey] = value;
+  }
+};
+
+const getStyle = (style, styleKey) =>
+  styleKey.startsWith("--") ? style.getPropertyValue(styleKey).trim() : style[styleKey];
+
+// Remove an attribute from the DOM. If it's an IDL attribute, we also reset the
+// property, since for properties like `value` and `checked`, the property and
+// attribute diverge once the user interacts with the element.
+const removeAttribute = (node, attrName) => {
+  if (attrName in node) {
+    const current = node[attrName];
+
+    if (typeof current === "boolean") {
+      node[attrName] = false;
+    } else if (typeof current === "string") {
+      node[attrName] = "";
+    }
+  }
+
+  node.removeAttribute(attrName);
+};
+
+// Returns the reconciliation key of a child VDOM node, or `undefined` if it
+// doesn't have one. Keys are given as a `key` attribute, like `<li key="${id}">`,
+// and are never rendered to the DOM.
+const keyOf = (vdom) => (isObject(vdom) && vdom.attrs !== undefined ? vdom.attrs.key : undefined);
+
+// Do any of the given children carry a key? We only take the keyed path in
+// `render` when they do, so unkeyed children keep the cheaper index-based diff.
+const hasKeys = (children) => {
+  for (let i = 0, len = children.length; i < len; i++) {
+    if (keyOf(children[i]) !== undefined) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Given a list of source indices (where -1 marks a brand-new child), return the
+// positions of the longest strictly increasing subsequence, in ascending order.
+// Children at these positions are already in the correct relative order, so they
+// stay put and every other child is moved around them. This is the classic
+// O(n log n) patience-sorting algorithm, also used by Inferno and Vue's reconcilers.
+const longestIncreasingSubsequence = (sources) => {
+  const predecessors = new Array(sources.length);
+  const tails = [];
+
+  for (let i = 0, len = sources.length; i < len; i++) {
+    const value = sources[i];
+
+    if (value === -1) {
+      continue;
+    }
+
+    // Binary search for the first tail that is not smaller than `value`.
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sources[tails[mid]] < value) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    predecessors[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+
+  const result = new Array(tails.length);
+  for (let i = tails.length - 1, j = tails[tails.length - 1]; i >= 0; i--) {
+    result[i] = j;
+    j = predecessors[j];
+  }
+
+  return result;
+};
+
+// Key-aware child reconciliation, used by `render` when children carry keys.
+// Children are matched to their previous counterparts by key (unkeyed children
+// are matched to unkeyed previous children in order), diffed in place, and then
+// only the children that aren't part of the longest stable run are moved. This
+// keeps DOM moves to a minimum, and preserves focus and input state on children that
+// were merely shifted by an insertion. Returns the new list of child DOM nodes.
+const reconcileKeyedChildren = (node, prevChildren, nextChildren, prevNodes) => {
+  const prevLength = prevChildren.length;
+  const nextLength = nextChildren.length;
+
+  // Index the previous children by key. If a key is duplicated, only the first
+  // child with that key can be matched; the rest will be removed.
+  const prevKeyed = new Map();
+  const prevUnkeyed = [];
+  for (let i = 0; i < prevLength; i++) {
+    const key = keyOf(prevChildren[i]);
+
+    if (key === undefined) {
+      prevUnkeyed.push(i);
+    } else if (!prevKeyed.has(key)) {
+      prevKeyed.set(key, i);
+    }
+  }
+
+  // For every next child, `sources` holds the index of the previous child it
+  // was matched with, or -1 if it's new.
+  const sources = new Array(nextLength);
+  const matched = new Array(prevLength).fill(false);
+  const nodeChildren = new Array(nextLength);
+  let unkeyedCursor = 0;
+
+  for (let j = 0; j < nextLength; j++) {
+    const nextChild = nextChildren[j];
+    const key = keyOf(nextChild);
+    let i = -1;
+
+    if (key === undefined) {
+      if (unkeyedCursor < prevUnkeyed.length) {
+        i = prevUnkeyed[unkeyedCursor++];
       }
+    } else if (prevKeyed.has(key)) {
+      i = prevKeyed.get(key);
+      prevKeyed.delete(key);
+    }
+
+    sources[j] = i;
+
+    if (i === -1) {
+      nodeChildren[j] = render(undefined, undefined, nextChild);
+    } else {
+      matched[i] = true;
+      nodeChildren[j] = prevChildren[i] !== nextChild ? render(prevNodes[i], prevChildren[i], nextChild) : prevNodes[i];
     }
   }
+
+  // Remove any previous children that weren't matched to a next child.
+  for (let i = 0; i < prevLength; i++) {
+    if (!matched[i]) {
+      opQueue.push([OP_REMOVE, node, prevNodes[i]]);
+    }
+  }
+
+  // Walk backwards through the new children, so each child's next sibling is already
+  // in its final place, and insert every child that isn't in the stable subsequence
+  // before that sibling. Because these operations are queued after any replacements
+  // queued by the child renders above, the reference siblings are always in the DOM.
+  const stable = longestIncreasingSubsequence(sources);
+  let s = stable.length - 1;
+  for (let j = nextLength - 1; j >= 0; j--) {
+    if (s >= 0 && stable[s] === j) {
+      s--;
+    } else {
+      opQueue.push([OP_INSERT, node, nodeChildren[j], j + 1 < nextLength ? nodeChildren[j + 1] : null]);
+    }
+  }
+
+  return nodeChildren;
 };
 
 // A global counter for how deep we are in our render tree.
@@ -208,22 +539,27 @@ const render = (node, previous, next) => {
       normalizeVDOM(previous);
       normalizeVDOM(next);
 
-      // Compare and update attributes
+      // Compare and update attributes. An attribute that's `false`, `null` or `undefined`
+      // is removed, except that `aria-*` and `data-*` attributes spell out booleans
+      // (see `attributeValue`).
       for (const attrName of Object.keys(next.attrs)) {
         const pAttr = previous.attrs[attrName];
         const nAttr = next.attrs[attrName];
 
-        if (attrName === "class") {
+        if (attrName === "key") {
+          // Keys are only used by the reconciler to match children, and
+          // are never rendered to the DOM.
+        } else if (attrName === "class") {
           // VDOM can pass classes as either a single string
           // or an array of strings, so we need to check for either
           // of those cases.
-          const nextClass = nAttr;
+          const nextClass = Array.isArray(nAttr) ? nAttr.join(" ") : nAttr;
 
           // Mutating `className` is faster than iterating through
           // `classList` objects if there's only one batch operation
           // for all class changes.
-          if (Array.isArray(nextClass)) {
-            node.className = nextClass.join(" ");
+          if (attributeValue(attrName, nextClass) === null) {
+            node.removeAttribute("class");
           } else {
             node.className = nextClass;
           }
@@ -232,27 +568,37 @@ const render = (node, previous, next) => {
           // rather than a string for API ergonomics, so we serialize
           // it differently than other attributes.
           const prevStyle = pAttr || {};
-          const nextStyle = nAttr;
+          const nextStyle = nAttr || {};
 
           // When we iterate through the key/values of a flat object like this,
           // you may be tempted to use `Object.entries()`. We use `Object.keys()` and lookups,
           // which is less idiomatic, but fast. This results in a measurable performance bump.
           for (const styleKey of Object.keys(nextStyle)) {
             if (nextStyle[styleKey] !== prevStyle[styleKey]) {
-              node.style[styleKey] = nextStyle[styleKey];
+              setStyle(node.style, styleKey, nextStyle[styleKey]);
             }
           }
 
           for (const styleKey of Object.keys(prevStyle)) {
             if (nextStyle[styleKey] === undefined) {
-              node.style[styleKey] = "";
+              setStyle(node.style, styleKey, "");
             }
           }
+        } else if (attributeValue(attrName, nAttr) === null && typeof node[attrName] !== "boolean") {
+          // Boolean IDL attributes are simply set to `false` below. For the rest, like
+          // with setting IDL attributes, we compare to the DOM, which may have changed
+          // from under us. `undefined` attributes are removed below, along with missing ones.
+          const changed = pAttr !== nAttr || (typeof node[attrName] === "string" && node[attrName] !== "");
+
+          if (changed && nAttr !== undefined) {
+            removeAttribute(node, attrName);
+          }
 
           // If an attribute is an IDL attribute, we set it
           // through JavaScript properties on the HTML element
           // and not `setAttribute()`. This is necessary for
           // properties like `value` and `indeterminate`.
+          // `aria-*` and `data-*` attributes are never IDL attributes.
         } else if (attrName in node) {
           // We explicitly make a comparison here before setting, because setting reflected
           // HTML properties is _not idempotent_ -- on some elements like audio, video, and iframe,
@@ -266,7 +612,7 @@ const render = (node, previous, next) => {
           }
         } else {
           if (pAttr !== nAttr) {
-            node.setAttribute(attrName, nAttr);
+            node.setAttribute(attrName, attributeValue(attrName, nAttr));
           }
         }
       }
@@ -274,26 +620,13 @@ const render = (node, previous, next) => {
       // For any attributes that were removed in the new VDOM,
       // also attempt to remove them from the DOM.
       for (const attrName of Object.keys(previous.attrs)) {
-        if (next.attrs[attrName] === undefined) {
-          if (attrName in node) {
-            // `null` seems to be the default for most IDL attrs,
-            // but even this isn't entirely consistent. This seems
-            // like something we should fix as issues come up, not
-            // preemptively search for a cross-browser solution.
-            node[attrName] = null;
-          } else {
-            node.removeAttribute(attrName);
-          }
+        if (next.attrs[attrName] === undefined && previous.attrs[attrName] !== undefined && attrName !== "key") {
+          removeAttribute(node, attrName);
         }
       }
 
-      diffEvents(next.events, previous.events, (eventName, handlerFn) => {
-        node.addEventListener(eventName, handlerFn);
-      });
-
-      diffEvents(previous.events, next.events, (eventName, handlerFn) => {
-        node.removeEventListener(eventName, handlerFn);
-      });
+      diffEvents(next.events, previous.events, (eventName, handler) => addListener(node, eventName, handler));
+      diffEvents(previous.events, next.events, (eventName, handler) => removeListener(node, eventName, handler));
 
       // Render children recursively. These loops are also well optimized, since
       // it's a hot patch of code at runtime.
@@ -301,9 +634,8 @@ const render = (node, previous, next) => {
       // so we don't have to perform expensive, DOM-touching operations during reconciliation
       // to look up children of the current node in the next render pass. `nodeChildren`
       // will be updated alongside enqueued DOM mutation operations.
-      // In the future, we may also look at optimizing more of the common cases of list diffs
-      // as [domdiff](https://github.com/WebReflection/domdiff/blob/master/esm/index.js) does,
-      // before delving into a full iterative diff of two lists.
+      // If any children carry a `key` attribute, we hand off to `reconcileKeyedChildren`,
+      // which matches children by key instead of by index.
       const prevChildren = previous.children;
       const nextChildren = next.children;
 
@@ -312,7 +644,9 @@ const render = (node, previous, next) => {
       const nextLength = nextChildren.length;
 
       // Smaller way to check for 'if either nextLength or prevLength is greater than zero'
-      if (nextLength + prevLength > 0) {
+      if (nextLength + prevLength > 0 && (hasKeys(nextChildren) || hasKeys(prevChildren))) {
+        next._nodes = reconcileKeyedChildren(node, prevChildren, nextChildren, previous._nodes || []);
+      } else if (nextLength + prevLength > 0) {
         // Initialize variables we'll need / reference throughout child reconciliation.
         const nodeChildren = previous._nodes || [];
         const minLength = prevLength < nextLength ? prevLength : nextLength;
@@ -359,33 +693,461 @@ const render = (node, previous, next) => {
   // render tree, it's time to flush replaced nodes to the DOM
   // before the next frame.
   if (--render_stack === 0) {
-    // `runDOMOperations()` can also be called completely asynchronously
-    // with utilities like `requestIdleCallback`, _a la_ Concurrent React,
-    // for better responsiveness on larger component trees. This requires
-    // a modification to Arlo's architecture, so that each set of `DOMOperations`
-    // tasks in the `opQueue` from one component's render call are flushed to
-    // the DOM before the next component's `DOMOperations` begins, for consistency.
-    // This can be achieved with a nested queue layer on top of `opQueue`.
-    // Here, we omit concurrency support today because it's not a great necessity
-    // where Arlo is used.
+    // Flushing is always synchronous at the end of a component's render, so each
+    // set of `DOMOperations` in the `opQueue` from one component's render call is
+    // flushed before the next component's render begins. Components that opt into
+    // `concurrent` rendering get their responsiveness from the scheduler instead,
+    // which batches and dedupes whole component renders across a frame, and
+    // flushes them in priority order (see `scheduler.js`).
     runDOMOperations();
   }
 
   return node;
 };
 
+// **Hydration.** Pages can ship pre-rendered markup (for example, from `renderToString()`)
+// that matches what a component would render. Rather than throw that markup away,
+// `hydrate` walks the component's VDOM and the existing DOM together and adopts the
+// existing nodes, as if `render` had created them.
+
+// Describe a VDOM node for a mismatch warning.
+const describeVDOM = (vdom) => {
+  if (vdom === null) {
+    return "a comment";
+  } else if (typeof vdom === "string" || typeof vdom === "number") {
+    return `text "${vdom}"`;
+  } else if (vdom.appendChild !== undefined) {
+    return `<${vdom.nodeName.toLowerCase()}>`;
+  }
+
+  return `<${vdom.tag}>`;
+};
+
+// Pre-rendered or hand-written markup often contains nodes that the `vdom` template tag
+// never produces, like comments and whitespace between elements. We drop these as we go,
+// unless they're exactly the kind of node the VDOM expects next.
+const isIgnorable = (node, vdom) => {
+  if (node.nodeType === 8) {
+    return vdom !== null;
+  } else if (node.nodeType === 3 && node.data.trim() === "") {
+    return typeof vdom !== "string" && typeof vdom !== "number";
+  }
+
+  return false;
+};
+
+// Put `newNode` in the place of `oldNode`, if `oldNode` is in the DOM.
+const replaceNode = (oldNode, newNode) => {
+  if (oldNode.parentNode !== null) {
+    oldNode.parentNode.replaceChild(newNode, oldNode);
+  }
+
+  return newNode;
+};
+
+// Adopt an existing DOM node for a VDOM node, patching or replacing it where the two
+// don't match, and return the node that ends up in the DOM. `warn` is a function
+// that reports mismatches, or null if we shouldn't report them.
+const hydrateNode = (node, vdom, warn) => {
+  const mismatch = (replacement) => {
+    if (warn !== null) {
+      warn(describeVDOM(vdom), node);
+    }
+
+    return replaceNode(node, replacement);
+  };
+
+  if (vdom === null) {
+    return node.nodeType === 8 ? node : mismatch(tempNode());
+  } else if (typeof vdom === "string" || typeof vdom === "number") {
+    const str = String(vdom);
+
+    if (node.nodeType !== 3) {
+      return mismatch(document.createTextNode(str));
+    }
+
+    if (node.data !== str) {
+      // Adjacent strings in VDOM, like a text node next to a dynamic part, are
+      // parsed by the browser into a single text node, so we split it back apart.
+      if (node.data.startsWith(str)) {
+        node.splitText(str.length);
+      } else {
+        if (warn !== null) {
+          warn(describeVDOM(vdom), node);
+        }
+
+        node.data = str;
+      }
+    }
+
+    return node;
+  } else if (vdom.appendChild !== undefined) {
+    // Literal nodes are usually the nodes of child components, which we hydrate in turn.
+    const component = componentNodes.get(vdom);
+
+    if (component !== undefined) {
+      return hydrateComponent(component, node, warn);
+    }
+
+    return node === vdom ? node : replaceNode(node, vdom);
+  }
+
+  if (node.nodeType !== 1 || node.nodeName.toLowerCase() !== vdom.tag.toLowerCase()) {
+    return mismatch(render(undefined, undefined, vdom));
+  }
+
+  normalizeVDOM(vdom);
+
+  // Attributes are checked the same way `render` sets them. Style and IDL property
+  // values are often normalized by the browser, so we quietly set those if they
+  // differ, and only report mismatches in classes and plain attributes.
+  for (const attrName of Object.keys(vdom.attrs)) {
+    const val = vdom.attrs[attrName];
+
+    if (attrName === "key" || val === undefined) {
+      // Keys are never rendered to the DOM.
+    } else if (attrName === "class") {
+      const className = Array.isArray(val) ? val.join(" ") : attributeValue(attrName, val) || "";
+
+      if (node.className !== className) {
+        if (warn !== null) {
+          warn(`class "${className}"`, node);
+        }
+
+        node.className = className;
+      }
+    } else if (attrName === "style") {
+      for (const styleKey of Object.keys(val || {})) {
+        if (getStyle(node.style, styleKey) !== val[styleKey]) {
+          setStyle(node.style, styleKey, val[styleKey]);
+        }
+      }
+    } else if (attributeValue(attrName, val) === null && typeof node[attrName] !== "boolean") {
+      if (node.hasAttribute(attrName)) {
+        if (warn !== null) {
+          warn(`no ${attrName} attribute`, node);
+        }
+
+        removeAttribute(node, attrName);
+      }
+    } else if (attrName in node) {
+      if (node[attrName] !== val) {
+        node[attrName] = val;
+      }
+    } else if (node.getAttribute(attrName) !== attributeValue(attrName, val)) {
+      if (warn !== null) {
+        warn(`${attrName}="${attributeValue(attrName, val)}"`, node);
+      }
+
+      node.setAttribute(attrName, attributeValue(attrName, val));
+    }
+  }
+
+  diffEvents(vdom.events, {}, (eventName, handler) => addListener(node, eventName, handler));
+
+  // Elements with `innerHTML` set manage their own children.
+  if (vdom.attrs.innerHTML !== undefined) {
+    return node;
+  }
+
+  // Walk the children together, and memoize the adopted child nodes in `_nodes`,
+  // just like `render` does.
+  const children = vdom.children;
+  const nodeChildren = [];
+  let existing = node.firstChild;
+
+  for (let i = 0, len = children.length; i < len; i++) {
+    const child = children[i];
+
+    while (existing !== null && isIgnorable(existing, child)) {
+      const ignored = existing;
+      existing = existing.nextSibling;
+      node.removeChild(ignored);
+    }
+
+    let childNode;
+    if (existing === null) {
+      // Empty strings aren't rendered to pre-rendered markup, so they're never missing.
+      if (warn !== null && child !== "") {
+        warn(describeVDOM(child), null);
+      }
+
+      childNode = render(undefined, undefined, child);
+      node.appendChild(childNode);
+    } else {
+      childNode = hydrateNode(existing, child, warn);
+    }
+
+    // Keep the VDOM pointing at the adopted nodes of child components.
+    if (isObject(child) && child.appendChild !== undefined) {
+      children[i] = childNode;
+    }
+
+    nodeChildren.push(childNode);
+    existing = childNode.nextSibling;
+  }
+
+  // Remove anything left over that the VDOM doesn't account for.
+  while (existing !== null) {
+    const extra = existing;
+    existing = existing.nextSibling;
+
+    if (warn !== null && !isIgnorable(extra)) {
+      warn("nothing", extra);
+    }
+
+    node.removeChild(extra);
+  }
+
+  vdom._nodes = nodeChildren;
+
+  return node;
+};
+
+// Hydrate a component's current VDOM onto an existing node, and make the
+// resulting node the component's `#node`.
+const hydrateComponent = (component, existingNode, warn) => {
+  const outerComponent = renderingComponent;
+  renderingComponent = component;
+
+  let node;
+  try {
+    node = hydrateNode(existingNode, component.vdom, warn);
+  } finally {
+    renderingComponent = outerComponent;
+  }
+
+  component.node = node;
+  componentNodes.set(node, component);
+
+  return node;
+};
+
+/**
+ * Adopt existing DOM, like markup pre-rendered with `renderToString()`, as the
+ * rendered node of a component, instead of replacing it with freshly rendered
+ * DOM. Child components embedded in the component's VDOM are hydrated too, and
+ * event listeners are attached as they would be by rendering.
+ *
+ * Wherever the existing DOM doesn't match the component's VDOM, it's patched to
+ * match, and the mismatch is reported with `console.warn()`. Pass
+ * `{ warn: false }` to turn off these reports in production.
+ *
+ * @param {*} component
+ * @param {*} existingNode
+ * @param {*} options
+ * @returns The hydrated component.
+ */
+export const hydrate = (component, existingNode, { warn = true } = {}) => {
+  const report = warn
+    ? (expected, found) => console.warn(`hydration mismatch: expected ${expected}, found`, found)
+    : null;
+
+  hydrateComponent(component, existingNode, report);
+
+  // Components hydrated onto nodes already in the document are mounted now.
+  if (pendingMounts.size > 0) {
+    checkMounts();
+  }
+
+  return component;
+};
+
+// **Composition.** Templates can embed components like elements, with the component
+// class as the tag, like `<${Card} title="x">...</${Card}>`. After a component composes,
+// we construct (or reuse) a component for each of these elements, and put its `#node`
+// in the element's place, as if the template had said `${card.node}`.
+
+// Props for the component being constructed from a template element. The constructor
+// takes them as `#props`, before `#init()` runs.
+let constructingProps = null;
+
+// Build the props for a component from its template element: its attributes, its
+// event handlers as `on*` props, and its children. Children with a `slot` attribute
+// go into that named slot in `slots`, and the rest into `children`.
+const propsOf = (vdom) => {
+  const props = {};
+  const attrs = vdom.attrs || {};
+  const events = vdom.events || {};
+
+  for (const attrName of Object.keys(attrs)) {
+    if (attrName !== "key") {
+      props[attrName] = attrs[attrName];
+    }
+  }
+
+  for (const eventName of Object.keys(events)) {
+    const handlers = normalizeArray(events[eventName]);
+    props["on" + eventName] = handlers.length === 1 ? handlers[0] : handlers;
+  }
+
+  props.children = [];
+  props.slots = {};
+
+  for (const child of vdom.children || []) {
+    const slot = isObject(child) && isObject(child.attrs) ? child.attrs.slot : undefined;
+
+    if (slot === undefined) {
+      props.children.push(child);
+    } else {
+      delete child.attrs.slot;
+
+      if (props.slots[slot] === undefined) {
+        props.slots[slot] = [];
+      }
+
+      props.slots[slot].push(child);
+    }
+  }
+
+  return props;
+};
+
+// Props are built anew on every render, so we compare them shallowly, looking one
+// level into arrays (like class lists and children) and plain objects (like style
+// dictionaries and slots).
+const sameProps = (a, b) => {
+  const keys = Object.keys(a);
+
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+
+  for (const key of keys) {
+    const x = a[key];
+    const y = b[key];
+
+    if (x === y) {
+      continue;
+    } else if (Array.isArray(x) && Array.isArray(y)) {
+      if (x.length !== y.length || x.some((item, i) => item !== y[i])) {
+        return false;
+      }
+    } else if (
+      !isObject(x) ||
+      !isObject(y) ||
+      Object.getPrototypeOf(x) !== Object.prototype ||
+      Object.getPrototypeOf(y) !== Object.prototype ||
+      !sameProps(x, y)
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Find the component for a template element in the components `owner` made last render,
+// or construct a new one. Keyed elements are matched by their key, and the rest by
+// their order among elements of the same class. Components are recorded in `made`,
+// which becomes the owner's record for the next render.
+const componentFor = (owner, vdom, props, made) => {
+  const Class = vdom.tag;
+  const key = isObject(vdom.attrs) ? vdom.attrs.key : undefined;
+  const previous = owner.templateComponents.get(Class);
+
+  if (!made.has(Class)) {
+    made.set(Class, { keyed: new Map(), unkeyed: [] });
+  }
+
+  const current = made.get(Class);
+  let component;
+
+  if (previous !== undefined) {
+    component = key === undefined ? previous.unkeyed[current.unkeyed.length] : previous.keyed.get(key);
+  }
+
+  if (component === undefined) {
+    constructingProps = props;
+    component = new Class(props);
+  } else if (!sameProps(component.props, props)) {
+    component.receive(props);
+  }
+
+  if (key === undefined) {
+    current.unkeyed.push(component);
+  } else {
+    current.keyed.set(key, component);
+  }
+
+  return component;
+};
+
+// Replace every component element in a VDOM tree with its component's node, in place.
+// Children passed to a component are resolved first, so they belong to `owner`, like
+// the rest of its template.
+const resolveComponents = (owner, vdom, made) => {
+  if (!isObject(vdom) || vdom.appendChild !== undefined) {
+    return vdom;
+  }
+
+  if (typeof vdom.tag === "function") {
+    const props = propsOf(vdom);
+
+    resolveComponents(owner, { children: props.children }, made);
+    for (const slot of Object.keys(props.slots)) {
+      resolveComponents(owner, { children: props.slots[slot] }, made);
+    }
+
+    return componentFor(owner, vdom, props, made).node;
+  }
+
+  const children = vdom.children;
+  if (children !== undefined) {
+    for (let i = 0, len = children.length; i < len; i++) {
+      children[i] = resolveComponents(owner, children[i], made);
+    }
+  }
+
+  return vdom;
+};
+
+// Every component in a record of template components, as a Set.
+const allTemplateComponents = (templateComponents) => {
+  const components = new Set();
+
+  for (const { keyed, unkeyed } of templateComponents.values()) {
+    for (const component of keyed.values()) {
+      components.add(component);
+    }
+
+    for (const component of unkeyed) {
+      components.add(component);
+    }
+  }
+
+  return components;
+};
+
 // Arlo's Component class
 export class Component {
   constructor(...args) {
     this.vdom = undefined;
     this.node = undefined;
-    this.event = emptyEvent();
+    // Components embedded in a template get their attributes and children as props.
+    this.props = constructingProps || {};
+    constructingProps = null;
+    // The components we constructed from our template last render (see `resolveComponents`).
+    this.templateComponents = new Map();
+    // Map of every `Evented` source this component is bound to, to its handler.
+    this.bindings = new Map();
+    // The error boundary this component belongs to, or null if it has none.
+    this.boundary = currentBoundary;
 
     // We call init() before render, because it's a common pattern
     // to set and initialize 'private' fields in `this.init()` (at least
     // before the ES-next private fields proposal becomes widely supported.)
     // Frequently, rendering will require private values to be set correctly.
-    this.init(...args);
+    // Child components constructed in `#init()` belong to our error boundary,
+    // or to us if we're a boundary ourselves.
+    const outerBoundary = currentBoundary;
+    currentBoundary = this.catchError !== undefined ? this : this.boundary;
+
+    try {
+      this.init(...args);
+    } finally {
+      currentBoundary = outerBoundary;
+    }
 
     // After we run `#init()`, we want to make sure that every constructed
     // component has a valid `#node` property. To be efficient, we only
@@ -393,6 +1155,15 @@ export class Component {
     if (this.node === undefined) {
       this.render();
     }
+
+    // Only track components that actually care about being mounted.
+    if (hasDOM && this.mounted !== Component.prototype.mounted) {
+      if (this.node.isConnected) {
+        this.mounted();
+      } else {
+        watchMount(this);
+      }
+    }
   }
 
   // `Component.from()` allows us to transform a pure function that
@@ -406,6 +1177,11 @@ export class Component {
       compose() {
         return fn(...this.args);
       }
+
+      receive(props) {
+        this.args = [props];
+        super.receive(props);
+      }
     };
   }
 
@@ -415,36 +1191,106 @@ export class Component {
   }
 
   // Components usually subscribe to events from a Record, either a view model or
-  // a model that maps to business logic. This is shorthand to access that.
+  // a model that maps to business logic. This is shorthand to access that. If the
+  // component is bound to several sources, this is the first one it was bound to.
   get record() {
-    return this.event.source;
+    for (const source of this.bindings.keys()) {
+      return source;
+    }
+
+    return null;
   }
 
+  // Subscribe to updates from an `Evented` source, like a Record, Store or Router.
+  // A component may be bound to any number of sources at once, each with its own
+  // handler. Binding to a source that's already bound replaces its handler.
   bind(source, handler) {
-    this.unbind();
-
     if (source instanceof Evented) {
-      this.event = { source, handler };
+      if (this.bindings.has(source)) {
+        source.removeHandler(this.bindings.get(source));
+      }
+
+      this.bindings.set(source, handler);
       source.addHandler(handler);
     } else {
       throw new Error(`cannot bind to ${source}, which is not an instance of Evented.`);
     }
   }
 
-  unbind() {
-    if (this.record) {
-      this.record.removeHandler(this.event.handler);
-    }
+  // Unsubscribe from a given source, or from every bound source if none is given.
+  unbind(source) {
+    if (source === undefined) {
+      for (const [boundSource, handler] of this.bindings) {
+        boundSource.removeHandler(handler);
+      }
 
-    this.event = emptyEvent();
+      this.bindings.clear();
+    } else if (this.bindings.has(source)) {
+      source.removeHandler(this.bindings.get(source));
+      this.bindings.delete(source);
+    }
   }
 
   // We use `#remove()` to prepare to remove the component from our application
-  // entirely. By default, it unsubscribes from all updates. However, the component
+  // entirely. By default, it unsubscribes from all of its sources. However, the component
   // is still in the render tree -- that's something for the user to decide when to
   // hide.
   remove() {
+    this.beforeRemove();
     this.unbind();
+    cancel(this);
+    unwatchMount(this);
+
+    // Components we constructed from our template go with us.
+    for (const component of allTemplateComponents(this.templateComponents)) {
+      component.remove();
+    }
+
+    this.templateComponents = new Map();
+  }
+
+  // `#receive()` is called with new props when a parent template re-renders us
+  // with different attributes or children. By default, it updates `#props` and
+  // re-renders.
+  receive(props) {
+    this.props = props;
+    this.render();
+  }
+
+  // **Lifecycle hooks.** These are no-ops by default, and can be overridden
+  // to work with the rendered DOM, like drawing to a `<canvas>`.
+
+  // `#mounted()` is called once, the first time the component's node is
+  // attached to the document.
+  mounted() {
+    // should be overridden
+  }
+
+  // `#updated()` is called after every re-render of the component, once its
+  // changes have been flushed to the DOM.
+  updated() {
+    // should be overridden
+  }
+
+  // `#beforeRemove()` is called at the start of `#remove()`, while the component
+  // is still bound to its data and in the render tree.
+  beforeRemove() {
+    // should be overridden
+  }
+
+  // Components can opt into concurrent rendering by overriding this getter to
+  // return true. Concurrent components don't render immediately when `#render()`
+  // is called after their first render; instead, renders are batched until the next
+  // frame, and repeated renders of the same component in a frame are collapsed
+  // into one. This is useful for components bound to frequently updating Records.
+  get concurrent() {
+    return false;
+  }
+
+  // The priority of this component's scheduled renders, one of `Priority`.
+  // Only meaningful for `concurrent` components.
+  get priority() {
+    return Priority.NORMAL;
   }
 
   // `#compose()` is our primary rendering API for components. By default, it renders
@@ -465,22 +1311,95 @@ export class Component {
   // and Arlo assumes that it's called rarely, only when the component absolutely
   // must update. This obviates the need for something like React's `shouldComponentUpdate`.
   render(data) {
-    data = data || (this.record && this.record.summarize());
-    const vdom = this.preprocess(this.compose(data), data);
+    // Concurrent components defer all but their first render to the scheduler. The
+    // first render is always synchronous, so every component has a `#node` once
+    // constructed. The latest `data` wins if a render is requested more than once.
+    if (this.concurrent && this.node !== undefined && !isFlushing()) {
+      schedule(this, this.priority, () => this.render(data));
+
+      return this.vdom;
+    }
+
+    // Like in the constructor, child components constructed while we compose
+    // belong to our error boundary, or to us if we're a boundary.
+    const outerBoundary = currentBoundary;
+    currentBoundary = this.catchError !== undefined ? this : this.boundary;
+
+    let vdom;
+    try {
+      data = data || (this.record && this.record.summarize());
+      vdom = this.preprocess(this.compose(data), data);
+
+      if (vdom === undefined) {
+        // If the developer accidentally forgets to return the VDOM value from
+        // compose, instead of leading to a cryptic DOM API error, show a more
+        // friendly warning.
+        throw new Error(this.constructor.name + ".compose() returned undefined.");
+      }
+
+      // Construct or update the components embedded in our template, and remove
+      // the ones that aren't anymore.
+      const made = new Map();
+      vdom = resolveComponents(this, vdom, made);
+
+      const current = allTemplateComponents(made);
+      for (const component of allTemplateComponents(this.templateComponents)) {
+        if (!current.has(component)) {
+          component.remove();
+        }
+      }
+
+      this.templateComponents = made;
+    } catch (e) {
+      // Without an error boundary, errors propagate to whoever asked us to render.
+      if (this.boundary === null) {
+        throw e;
+      }
+
+      // A component that fails its first render still needs a node for its parent
+      // to embed. It's replaced when the component renders successfully on a retry.
+      if (this.node === undefined) {
+        this.node = hasDOM ? tempNode() : new ComponentStub(this);
+      }
 
-    if (vdom === undefined) {
-      // If the developer accidentally forgets to return the VDOM value from
-      // compose, instead of leading to a cryptic DOM API error, show a more
-      // friendly warning.
-      throw new Error(this.constructor.name + ".compose() returned undefined.");
+      this.boundary.catchError(e, this);
+
+      return this.vdom;
+    } finally {
+      currentBoundary = outerBoundary;
+    }
+
+    if (!hasDOM) {
+      if (this.node === undefined) {
+        this.node = new ComponentStub(this);
+      }
+
+      return (this.vdom = vdom);
     }
 
+    // `#updated()` runs after the DOM operations from this render are flushed,
+    // but not after the first render (that's what `#mounted()` is for).
+    if (this.vdom !== undefined && this.updated !== Component.prototype.updated) {
+      flushCallbacks.push(() => this.updated());
+    }
+
+    const outerComponent = renderingComponent;
+    renderingComponent = this;
+
+    // The new VDOM is current before it's flushed, because hooks that run after the
+    // flush, like our own `#updated()`, may render us again, diffing against it.
+    const previous = this.vdom;
+    this.vdom = vdom;
+
     try {
-      this.node = render(this.node, this.vdom, vdom);
+      this.node = render(this.node, previous, vdom);
+      componentNodes.set(this.node, this);
     } catch (e) {
       console.error("rendering error.", e);
+    } finally {
+      renderingComponent = outerComponent;
     }
 
-    return (this.vdom = vdom);
+    return vdom;
   }
 }
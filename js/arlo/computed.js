@@ -0,0 +1,106 @@
+import { normalizeArray, shallowEqual } from "./common.js";
+import { Evented } from "./evented.js";
+
+/**
+ * `Computed` is a read-only Evented whose state is derived from one or more
+ * other Evented sources, like Records and Stores. Components can bind to it like
+ * any other Evented.
+ *
+ * A `Computed` only subscribes to its sources while something is bound to it.
+ * While unobserved, it recomputes lazily, the next time it's summarized. While
+ * observed, it recomputes whenever a source changes, but only emits an event
+ * if the computed value actually changed.
+ */
+export class Computed extends Evented {
+  /**
+   * Create a derived Evented from a source (or list of sources) and a function
+   * that takes the summary of each source, in order, and returns the derived value.
+   *
+   * @param {*} sources
+   * @param {*} compute
+   */
+  constructor(sources, compute) {
+    super();
+
+    this.sources = normalizeArray(sources);
+    this.compute = compute;
+
+    // The memoized result of `compute`, and whether it's out of date.
+    this.value = undefined;
+    this.dirty = true;
+
+    // Are we subscribed to our sources? Sources call their handlers immediately
+    // when subscribed to, so we also use this to ignore those initial calls.
+    this.connected = false;
+    this._cb = () => this.sourceChanged();
+  }
+
+  // Whether two computed values should be considered the same, in which case
+  // no event is emitted. Defaults to a shallow comparison, since `compute` will
+  // usually return a fresh object or array every time. Override for other semantics.
+  equals(a, b) {
+    return shallowEqual(a, b);
+  }
+
+  // Called whenever one of our sources emits an event.
+  sourceChanged() {
+    if (!this.connected) {
+      return;
+    }
+
+    const previous = this.value;
+    this.recompute();
+
+    if (!this.equals(previous, this.value)) {
+      this.emitEvent();
+    }
+  }
+
+  recompute() {
+    this.value = this.compute(...this.sources.map((source) => source.summarize()));
+    this.dirty = false;
+  }
+
+  // Getter, for when the computed value is a dictionary, like a Record's summary.
+  get(name) {
+    return this.summarize()[name];
+  }
+
+  // The summary of a `Computed` is its memoized value, recomputed if it's stale.
+  summarize() {
+    if (this.dirty) {
+      this.recompute();
+    }
+
+    return this.value;
+  }
+
+  addHandler(handler) {
+    if (!this.connected) {
+      for (const source of this.sources) {
+        source.addHandler(this._cb);
+      }
+
+      // Our sources may have changed while we weren't listening.
+      this.connected = true;
+      this.dirty = true;
+    }
+
+    super.addHandler(handler);
+  }
+
+  removeHandler(handler) {
+    super.removeHandler(handler);
+
+    // Stop listening to our sources when nothing is bound to us, so an unused
+    // `Computed` can be garbage collected along with its handlers.
+    if (this.connected && this.handlers.size === 0) {
+      for (const source of this.sources) {
+        source.removeHandler(this._cb);
+      }
+
+      this.connected = false;
+      this.dirty = true;
+    }
+  }
+}
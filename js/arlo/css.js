@@ -1,34 +1,90 @@
-import { interpolate } from "./common.js";
+import { interpolate, isObject } from "./common.js";
 import { Reader } from "./reader.js";
 
+// Objects passed as dynamic parts can't be interpolated into the template as strings,
+// so before parsing, we replace each with a placeholder naming its index among the
+// dynamic parts. Plain objects are mixins: styles objects, like another `css` result,
+// used in place of a declaration, like `${flexCenter};`. The parser keeps their
+// placeholders as keys, so `fillPlaceholders` can merge each mixin in at its position.
+// Other objects, like `dynamic()` values, can be used as whole values, like
+// `color: ${dynamic(color)};`.
+const MIXIN_PLACEHOLDER_RE = /^css_mixin_\[(\d+)\]$/;
+const VALUE_PLACEHOLDER_RE = /^css_value_\[(\d+)\]$/;
+
+const isMixin = (part) => isObject(part) && Object.getPrototypeOf(part) === Object.prototype;
+
+// Mixins end with a semicolon of their own, so they're parsed as a declaration
+// of their own even if the template doesn't follow them with one.
+const placeholderFor = (part, i) => {
+  if (isMixin(part)) {
+    return `css_mixin_[${i}];`;
+  }
+
+  return isObject(part) && !Array.isArray(part) ? `css_value_[${i}]` : part;
+};
+
+// Local variables, like `$accent: #07f;`, are used by name in later values and selectors.
+const VARIABLE_RE = /\$([\w-]+)/g;
+
+// Replace references to local variables that are in scope with their values.
+// Unknown variables are left as they are.
+const substituteVariables = (str, variables) =>
+  str.replace(VARIABLE_RE, (match, name) => (name in variables ? variables[name] : match));
+
+// Normalize the spacing of `!important` at the end of a value, like `red!important`.
+const IMPORTANT_RE = /\s*!\s*important$/i;
+
 /**
  * Helper to convert a string representation of a dict into a JavaScript object, CSS-style.
- * `stringToDict` is recursive to parse nested dictionaries.
+ * `stringToDict` is recursive to parse nested dictionaries. Every nested block has its own
+ * scope of local variables, which inherits from the block around it.
  *
  * @param {Reader} reader
+ * @param {*} variables
  * @returns Nested dictionary of CSS-style objects
  */
-const stringToDict = (reader) => {
+const stringToDict = (reader, variables) => {
   // Dictionary to be constructed from this step
   const dict = {};
 
-  // Enums for marking whether we are in a key or value section of a dictionary
-  const PROP = 0;
-  const VAL = 1;
-  let part = PROP;
+  // Everything read since the end of the last declaration or nested block. Whether it's
+  // a declaration (`color: red`) or a selector or at-rule (`a:hover`, `@media (...)`) is
+  // only decided by what ends it, `;` or `{`, so colons in selectors are never ambiguous.
+  let buffer = "";
 
-  // Current key, value pair being parsed
-  let current = ["", ""];
-  // Utility function to commit the tokens in the current read buffer (`current`) to the
-  // result dictionary and move on to the next key-value pair.
+  // How deep we are in parentheses, like in `url(data:...;base64,...)`, where
+  // semicolons don't end a declaration.
+  let parens = 0;
+
+  // Commit what's in the buffer as a declaration, a local variable, an at-rule statement
+  // without a block (like `@layer base, components;`) or a mixin placeholder.
   const commit = () => {
-    if (typeof current[VAL] === "string") {
-      dict[current[PROP].trim()] = current[VAL].trim();
-    } else {
-      dict[current[PROP].trim()] = current[VAL];
+    const text = buffer.trim();
+    buffer = "";
+
+    if (text === "") {
+      return;
+    }
+
+    if (text[0] === "@" || MIXIN_PLACEHOLDER_RE.test(text)) {
+      dict[substituteVariables(text, variables)] = "";
+
+      return;
     }
 
-    current = ["", ""];
+    const idx = text.indexOf(":");
+    if (idx === -1) {
+      return;
+    }
+
+    const prop = text.substring(0, idx).trim();
+    const val = substituteVariables(text.substring(idx + 1).trim(), variables).replace(IMPORTANT_RE, " !important");
+
+    if (prop[0] === "$") {
+      variables[prop.substring(1)] = val;
+    } else {
+      dict[prop] = val;
+    }
   };
 
   // Begin reading the dictionary by stripping off any whitespace before the starting curlybrace.
@@ -41,84 +97,120 @@ const stringToDict = (reader) => {
       break;
     }
 
-    const p = current[PROP];
     switch (next) {
       case '"':
       case "'":
         // If we encounter quotes, we read blindly until the end of the quoted section,
         // ignoring escaped quotes. This is a slightly strange but simple way to achieve that.
-        current[part] += next + reader.readUntil(next);
-        while (current[part].endsWith("\\" + next)) {
-          current[part] += reader.readUntil(next);
+        buffer += next + reader.readUntil(next);
+        while (buffer.endsWith("\\" + next)) {
+          buffer += reader.readUntil(next);
         }
 
         break;
-      case ":":
-        // The colon character is ambiguous in SCSS syntax, because it is used
-        // for pseudoselectors and pseudoelements, as well as in the dict syntax.
-        // We disambiguate by looking at the preceding part of the token.
-        if (
-          p.trim() === "" || // empty key is not a thing; probably pseudoselector
-          p.includes("&") || // probably part of nested SCSS selector
-          p.includes("@") || // probably part of media query
-          p.includes(":") // probably pseudoselector/ pseudoelement selector
-        ) {
-          current[part] += next;
+      case "/":
+        // Comments are dropped entirely.
+        if (reader.next() === "*") {
+          reader.readUntil("*/");
         } else {
-          part = VAL;
+          reader.back();
+          buffer += next;
         }
 
+        break;
+      case "(":
+        parens++;
+        buffer += next;
+
+        break;
+      case ")":
+        parens--;
+        buffer += next;
+
         break;
       case ";":
         // Commit read tokens if we've reached the end of the rule
-        part = PROP;
-        commit();
+        if (parens > 0) {
+          buffer += next;
+        } else {
+          commit();
+        }
 
         break;
-      case "{":
-        // If we come across `{`, this means we found a nested structure.
-        // We backtrack the reader and recursively call `stringToDict` to parse the nested dict first
-        // before moving on.
+      case "{": {
+        // If we come across `{`, this means we found a nested structure, and what we've read
+        // so far is its selector or at-rule. We backtrack the reader and recursively call
+        // `stringToDict` to parse the nested dict first before moving on.
+        const key = substituteVariables(buffer.trim(), variables);
+        buffer = "";
+
         reader.back();
-        current[VAL] = stringToDict(reader);
-        commit();
+        dict[key] = stringToDict(reader, Object.create(variables));
 
         break;
+      }
       default:
         // For all other characters, just append it to the currently read buffer.
-        current[part] += next;
+        buffer += next;
 
         break;
     }
   }
 
   // Take care of any dangling CSS rules without a semicolon.
-  if (current[PROP].trim() !== "") {
-    commit();
-  }
+  commit();
 
   return dict;
 };
 
+// Returns a copy of a parsed dictionary with each mixin placeholder replaced by the
+// entries of its mixin, and value placeholders by their values. Like in SCSS,
+// declarations after a mixin override the mixin's.
+const fillPlaceholders = (dict, dynamicParts) => {
+  const result = {};
+
+  for (const key of Object.keys(dict)) {
+    const val = dict[key];
+    const mixinMatch = MIXIN_PLACEHOLDER_RE.exec(key);
+
+    if (mixinMatch !== null) {
+      Object.assign(result, dynamicParts[+mixinMatch[1]]);
+    } else if (isObject(val)) {
+      result[key] = fillPlaceholders(val, dynamicParts);
+    } else {
+      const valueMatch = VALUE_PLACEHOLDER_RE.exec(val);
+      result[key] = valueMatch !== null ? dynamicParts[+valueMatch[1]] : val;
+    }
+  }
+
+  return result;
+};
+
 // Cache for CSS parser outputs
 const CSS_CACHE = new Map();
 
 /**
  * A CSS parser that takes a string and returns CSS style objects for VDOM.
+ * Besides declarations and nested selectors, it understands at-rules like
+ * `@media`, `@supports`, `@container` and `@layer` (also nested inside selectors),
+ * comments, local variables like `$gap: 8px;`, and mixins: styles objects,
+ * like another `css` result, passed as dynamic parts in place of a declaration.
  *
  * @param {*} templateParts
  * @param  {...any} dynamicParts
  * @returns Dictionary of CSS style objects to use in the VDOM.
  */
 export const css = (templateParts, ...dynamicParts) => {
-  // Parse template as a string first
-  const result = interpolate(templateParts, dynamicParts).trim();
+  // Parse template as a string first, with placeholders for any objects.
+  const hasObjects = dynamicParts.some(isObject);
+  const result = interpolate(templateParts, hasObjects ? dynamicParts.map(placeholderFor) : dynamicParts).trim();
 
   // If the CSS rule had not been parsed before (is not in the cache),
   // parse and cache it before returning it.
   if (!CSS_CACHE.has(result)) {
-    CSS_CACHE.set(result, stringToDict(new Reader("{" + result + "}")));
+    CSS_CACHE.set(result, stringToDict(new Reader("{" + result + "}"), Object.create(null)));
   }
 
-  return CSS_CACHE.get(result);
+  // Styles with objects in them are built anew, since the objects may have changed.
+  return hasObjects ? fillPlaceholders(CSS_CACHE.get(result), dynamicParts) : CSS_CACHE.get(result);
 };
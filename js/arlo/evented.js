@@ -16,11 +16,12 @@ export class Evented {
   summarize() {}
 
   // Whenever something changes, we fire an event to all subscribed
-  // listeners, with a summary of its state.
-  emitEvent() {
+  // listeners, with a summary of its state. Subclasses may also pass along
+  // a description of what changed, which handlers receive as a second argument.
+  emitEvent(changes) {
     const summary = this.summarize();
     for (const handler of this.handlers) {
-      handler(summary);
+      handler(summary, changes);
     }
   }
 
@@ -0,0 +1,197 @@
+import { normalizeArray } from "./common.js";
+import { Evented } from "./evented.js";
+import { Record } from "./record.js";
+
+// Given a Record change set, build a dictionary of either the previous
+// or the next values of every changed property, ready to pass to `Record#update()`.
+const recordValues = (changes, which) => {
+  const data = {};
+
+  for (const key of Object.keys(changes)) {
+    data[key] = changes[key][which];
+  }
+
+  return data;
+};
+
+// Apply a single recorded command to its target, either forwards (redo) or
+// backwards (undo). Records are restored through `#update()`, and stores are
+// restored with a single `#reset()`, so each step emits exactly one event per target.
+const applyCommand = ({ target, changes }, forwards) => {
+  if (target instanceof Record) {
+    target.update(recordValues(changes, forwards ? "next" : "previous"));
+  } else {
+    const added = forwards ? changes.added : changes.removed;
+    const removed = new Set(forwards ? changes.removed : changes.added);
+
+    target.reset([...target.records].filter((record) => !removed.has(record)).concat(added));
+  }
+};
+
+/**
+ * `UndoHistory` records the changes made to a set of Records and Stores as invertible
+ * commands, so they can be undone and redone. It's opt-in: only the sources
+ * passed to an `UndoHistory` are tracked, along with the records in tracked Stores.
+ *
+ * `UndoHistory` is itself an Evented, whose summary is `{ canUndo, canRedo }`, so
+ * components can bind to it to enable or disable undo and redo buttons.
+ */
+export class UndoHistory extends Evented {
+  /**
+   * Start tracking changes on a source (or list of sources). `maxDepth` is
+   * the maximum number of undo steps to keep; the oldest steps are forgotten first.
+   *
+   * @param {*} sources
+   * @param {*} options
+   */
+  constructor(sources, { maxDepth = 100 } = {}) {
+    super();
+
+    this.sources = normalizeArray(sources);
+    this.maxDepth = maxDepth;
+
+    // Stacks of steps, where each step is a list of commands.
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // The step being built by `#group()`, if we're in one.
+    this.currentGroup = null;
+
+    // Are we undoing or redoing? We don't record our own changes.
+    this.applying = false;
+
+    this.sourceHandlers = new Map();
+    for (const source of this.sources) {
+      const handler = (_summary, changes) => this.track(source, changes);
+      this.sourceHandlers.set(source, handler);
+      source.addHandler(handler);
+    }
+  }
+
+  // Record a change set emitted by a source as a new command.
+  track(target, changes) {
+    // Sources call handlers immediately when subscribed to, without a change set.
+    if (this.applying || changes === undefined) {
+      return;
+    }
+
+    if (changes.added !== undefined) {
+      // Stores re-emit changes to their member records, which we record as a
+      // change to the record itself, unless we're already tracking that record directly.
+      if (changes.updated.length > 0) {
+        const record = changes.updated[0];
+
+        if (changes.recordChanges !== undefined && !this.sourceHandlers.has(record)) {
+          this.track(record, changes.recordChanges);
+        }
+
+        return;
+      }
+
+      // Stores emit empty change sets when they're reset to the same records.
+      if (changes.added.length + changes.removed.length === 0) {
+        return;
+      }
+    }
+
+    const command = { target, changes };
+
+    if (this.currentGroup !== null) {
+      this.currentGroup.push(command);
+    } else {
+      this.push([command]);
+    }
+  }
+
+  // Push a new step onto the undo stack. Any new change invalidates the redo stack.
+  push(step) {
+    this.undoStack.push(step);
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.maxDepth) {
+      this.undoStack.shift();
+    }
+
+    this.emitEvent();
+  }
+
+  // Run `fn`, and record every change made inside of it as a single undo step.
+  // Groups may be nested, in which case the outermost group wins.
+  group(fn) {
+    if (this.currentGroup !== null) {
+      return fn();
+    }
+
+    this.currentGroup = [];
+
+    try {
+      return fn();
+    } finally {
+      const step = this.currentGroup;
+      this.currentGroup = null;
+
+      if (step.length > 0) {
+        this.push(step);
+      }
+    }
+  }
+
+  // Move a step from one stack to the other, applying its commands in the
+  // right order and direction.
+  apply(from, to, forwards) {
+    const step = from.pop();
+
+    if (step === undefined) {
+      return false;
+    }
+
+    this.applying = true;
+
+    try {
+      const commands = forwards ? step : [...step].reverse();
+      for (const command of commands) {
+        applyCommand(command, forwards);
+      }
+    } finally {
+      this.applying = false;
+    }
+
+    to.push(step);
+    this.emitEvent();
+
+    return true;
+  }
+
+  // Undo the last step. Returns whether there was anything to undo.
+  undo() {
+    return this.apply(this.undoStack, this.redoStack, false);
+  }
+
+  // Redo the last undone step. Returns whether there was anything to redo.
+  redo() {
+    return this.apply(this.redoStack, this.undoStack, true);
+  }
+
+  // Forget all recorded steps.
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emitEvent();
+  }
+
+  summarize() {
+    return {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+    };
+  }
+
+  // Stop tracking changes to our sources.
+  remove() {
+    for (const [source, handler] of this.sourceHandlers) {
+      source.removeHandler(handler);
+    }
+
+    this.sourceHandlers.clear();
+  }
+}
@@ -5,13 +5,46 @@
  * Arlo was named after my daughter, Charlotte.
  */
 
-import { Component } from "./component.js";
+import { ErrorBoundary } from "./boundary.js";
+import { Component, hydrate } from "./component.js";
+import { Computed } from "./computed.js";
 import { css } from "./css.js";
-import { List, ListOf } from "./list.js";
+import { UndoHistory } from "./history.js";
+import { List, ListOf, VirtualList, VirtualListOf } from "./list.js";
+import { IndexedDBAdapter, Persisted, WebStorageAdapter } from "./persist.js";
 import { Record } from "./record.js";
 import { Router } from "./router.js";
+import { flushRenders, Priority } from "./scheduler.js";
+import { renderToString } from "./server.js";
 import { Store, StoreOf } from "./store.js";
-import { Styled, StyledComponent } from "./styled.js";
+import { dynamic, Styled, StyledComponent, Theme, ThemeProvider } from "./styled.js";
 import { vdom } from "./vdom.js";
 
-export { Component, css, List, ListOf, Record, Router, Store, StoreOf, Styled, StyledComponent, vdom };
+export {
+  Component,
+  Computed,
+  css,
+  dynamic,
+  ErrorBoundary,
+  flushRenders,
+  hydrate,
+  IndexedDBAdapter,
+  List,
+  ListOf,
+  Persisted,
+  Priority,
+  Record,
+  renderToString,
+  Router,
+  Store,
+  StoreOf,
+  Styled,
+  StyledComponent,
+  Theme,
+  ThemeProvider,
+  UndoHistory,
+  vdom,
+  VirtualList,
+  VirtualListOf,
+  WebStorageAdapter,
+};
@@ -1,14 +1,65 @@
+import { hasDOM } from "./common.js";
 import { Component } from "./component.js";
 
+// Transition hooks may return a Promise, an `Animation` from the Web Animations API,
+// or nothing if there's nothing to wait for. This resolves once the transition is done,
+// even if its animation was cancelled.
+const finished = (result) =>
+  Promise.resolve(result !== null && result !== undefined && result.finished !== undefined ? result.finished : result)
+    .then(() => {})
+    .catch(() => {});
+
+// Resolves once every CSS transition and animation running on a node is done, in
+// browsers that can tell us about them.
+const animationsFinished = (node) =>
+  typeof node.getAnimations === "function"
+    ? finished(Promise.all(node.getAnimations().map((animation) => animation.finished)))
+    : Promise.resolve();
+
+// Run a node's CSS transition by stage classes, like Vue's: `<prefix>-from` and
+// `<prefix>-active` are added, then `-from` is swapped for `-to`, and the classes
+// are removed once the transitions or animations they start are done.
+const transitionClasses = (node, prefix) => {
+  node.classList.add(`${prefix}-from`, `${prefix}-active`);
+  // Reading layout makes the browser compute the `-from` styles, so there's
+  // something to transition from.
+  node.getBoundingClientRect();
+  node.classList.remove(`${prefix}-from`);
+  node.classList.add(`${prefix}-to`);
+
+  return animationsFinished(node).then(() => node.classList.remove(`${prefix}-active`, `${prefix}-to`));
+};
+
+// Nodes in lists that use view transitions are each given a unique `view-transition-name`,
+// so the browser can pair them up between the old and new states of the list.
+let viewTransitionCount = 0;
+const viewTransitionNames = new WeakMap();
+
+const nameViewTransition = (node, prefix) => {
+  if (!viewTransitionNames.has(node)) {
+    viewTransitionNames.set(node, `${prefix}-${++viewTransitionCount}`);
+    node.style.viewTransitionName = viewTransitionNames.get(node);
+  }
+};
+
 // Arlo's generic List implementation, based on Stores.
 // React and similar virtual-dom view libraries depend on [key-based
 // reconciliation](https://reactjs.org/docs/reconciliation.html) during render
-// to efficiently render children of long lists. Arlo doesn't (yet) have a key-aware
-// reconciler in the diffing algorithm, but `List`'s design obviates the need for keys.
+// to efficiently render children of long lists. Arlo's reconciler understands a `key`
+// attribute on VDOM children too, but `List`'s design obviates the need for keys.
 // Rather than giving the renderer a flat virtual DOM tree to render, `List`
 // instantiates each individual item component and hands them off to the renderer as full
 // DOM Node elements, so each list item manages its own rendering, and the list component
 // only worries about displaying the list wrapper and a flat list of children items.
+//
+// Lists can animate items in, out and to their new places when the store changes.
+// Setting `transitionName` runs CSS transitions by class, like Vue's `<TransitionGroup>`:
+// entering nodes get `<name>-enter-from`, `-enter-active` and `-enter-to`, leaving nodes
+// get the same `-leave-*` classes, and nodes that move get `<name>-move` while they
+// slide from their old place, [FLIP](https://aerotwist.com/blog/flip-your-animations/)-style.
+// For animations in script, override `#enter()`, `#leave()` and `#move()` instead. Nodes
+// that leave stay where they were until they're done leaving. Alternatively, lists can
+// use the View Transitions API by setting `viewTransition`.
 export class List extends Component {
   /**
    * Default getter method for the Component type.
@@ -29,20 +80,107 @@ export class List extends Component {
     this.items = new Map();
     this.filterFn = null;
     this.itemData = itemData;
+    // Nodes that are animating out, mapped to the node they came after, and
+    // the item component to remove once they're done, if their record was removed.
+    this.leaving = new Map();
+    // Positions and nodes to animate once our next render is flushed.
+    this.pendingTransition = null;
+
+    this.bind(this.store, (_data, changes) => this.itemsChanged(changes));
+  }
+
+  /**
+   * Prefix of the classes for CSS transitions of items, or null for none.
+   */
+  get transitionName() {
+    return null;
+  }
+
+  /**
+   * Whether to animate changes with the View Transitions API, where it's supported.
+   */
+  get viewTransition() {
+    return false;
+  }
+
+  // Animate a node into the list. By default, runs the `-enter` transition classes.
+  enter(node) {
+    return this.transitionName === null ? null : transitionClasses(node, `${this.transitionName}-enter`);
+  }
+
+  // Animate a node out of the list before it's removed. By default, runs the `-leave` transition classes.
+  leave(node) {
+    return this.transitionName === null ? null : transitionClasses(node, `${this.transitionName}-leave`);
+  }
+
+  // Animate a node from where it was, `dx` and `dy` pixels away, to its new place. By default,
+  // moves it back to its old place with a transform, and lets the `-move` class transition it.
+  move(node, dx, dy) {
+    if (this.transitionName === null) {
+      return null;
+    }
+
+    const moveClass = `${this.transitionName}-move`;
+    node.style.transition = "none";
+    node.style.transform = `translate(${dx}px, ${dy}px)`;
+    node.getBoundingClientRect();
+    node.classList.add(moveClass);
+    node.style.transition = "";
+    node.style.transform = "";
+
+    return animationsFinished(node).then(() => node.classList.remove(moveClass));
+  }
 
-    this.bind(this.store, () => this.itemsChanged());
+  // Whether changes to the list are animated by our transition hooks. There's
+  // nothing to animate until the list is in the document.
+  get animated() {
+    return (
+      hasDOM &&
+      this.node !== undefined &&
+      this.node.isConnected &&
+      (this.transitionName !== null ||
+        this.enter !== List.prototype.enter ||
+        this.leave !== List.prototype.leave ||
+        this.move !== List.prototype.move)
+    );
   }
 
-  itemsChanged() {
+  get viewTransitioned() {
+    return (
+      this.viewTransition &&
+      hasDOM &&
+      typeof document.startViewTransition === "function" &&
+      this.node !== undefined &&
+      this.node.isConnected
+    );
+  }
+
+  itemsChanged(changes) {
+    // If we're animating this change, we need to know which nodes were in the list before.
+    const viewTransitioned = this.viewTransitioned;
+    const animated = !viewTransitioned && this.animated;
+    const previousNodes = animated || viewTransitioned ? this.nodes : null;
+
+    // Items whose records were removed, which we only remove once they've animated out,
+    // so they stay bound to their styles and data while they're on the page.
+    const removed = [];
+
     // For every record in the store, if it isn't already in
     // `this.items`, add it and its view; if any were removed,
     // also remove it from `this.items`.
     const data = this.store.summarize();
     const items = this.items;
+    const present = new Set(data);
+    const previous = [...items.keys()];
 
     for (const record of items.keys()) {
-      if (!data.includes(record)) {
-        items.get(record).remove();
+      if (!present.has(record)) {
+        if (animated) {
+          removed.push(items.get(record));
+        } else {
+          items.get(record).remove();
+        }
+
         items.delete(record);
       }
     }
@@ -68,11 +206,148 @@ export class List extends Component {
     }
 
     // Sort the list the way the associated Store is sorted.
-    sorter.sort((a, b) => data.indexOf(a[0]) - data.indexOf(b[0]));
+    const positions = new Map(data.map((record, i) => [record, i]));
+    sorter.sort((a, b) => positions.get(a[0]) - positions.get(b[0]));
 
     // Store the new items in a new (insertion-ordered) Map at this.items
     this.items = new Map(sorter);
 
+    // When the store tells us one of its records was updated, the record's own
+    // item component takes care of re-rendering its contents. We only need to
+    // re-render the list if the update moved the record, or in or out of the filter.
+    if (changes !== undefined && changes.updated !== undefined && changes.updated.length > 0) {
+      if (previous.length === sorter.length && sorter.every((item, i) => item[0] === previous[i])) {
+        return;
+      }
+    }
+
+    if (previousNodes === null) {
+      this.render();
+    } else if (viewTransitioned) {
+      // The browser snapshots the list before and after the render, and animates between them.
+      const prefix = this.transitionName || "arlo-item";
+      for (const node of previousNodes) {
+        nameViewTransition(node, prefix);
+      }
+
+      document.startViewTransition(() => {
+        for (const item of this) {
+          nameViewTransition(item.node, prefix);
+        }
+
+        this.render();
+      });
+    } else {
+      this.transition(previousNodes, removed);
+      this.render();
+    }
+  }
+
+  // Work out which nodes are entering and leaving the list, and remember where
+  // every node was before the next render, so `#updated()` can animate the change.
+  transition(previousNodes, removed = []) {
+    const current = new Set(this.components.map((item) => item.node));
+    const previous = new Set(previousNodes);
+    const entering = [...current].filter((node) => !previous.has(node));
+    const leaving = [];
+
+    // Nodes that come back while they're still leaving just stay.
+    for (const node of current) {
+      this.leaving.delete(node);
+    }
+
+    for (let i = 0; i < previousNodes.length; i++) {
+      const node = previousNodes[i];
+
+      if (!current.has(node) && !this.leaving.has(node)) {
+        const item = removed.find((component) => component.node === node);
+        this.leaving.set(node, { after: i === 0 ? null : previousNodes[i - 1], item: item || null });
+        leaving.push(node);
+      }
+    }
+
+    // Removed items that weren't on the page have nothing to animate.
+    for (const item of removed) {
+      if (!this.leaving.has(item.node)) {
+        item.remove();
+      }
+    }
+
+    this.capturePositions(previousNodes, entering, leaving);
+  }
+
+  capturePositions(nodes, entering = [], leaving = []) {
+    // If a render is already pending, like for a concurrent list, the positions
+    // from before it are the ones to animate from.
+    if (this.pendingTransition !== null) {
+      this.pendingTransition.entering.push(...entering);
+      this.pendingTransition.leaving.push(...leaving);
+    } else {
+      this.pendingTransition = {
+        first: new Map(nodes.map((node) => [node, node.getBoundingClientRect()])),
+        entering,
+        leaving,
+      };
+    }
+  }
+
+  // Once the render is flushed, play the pending transition: slide moved nodes from
+  // where they were, and animate nodes in and out. Subclasses overriding `#updated()`
+  // should call `super.updated()`.
+  updated() {
+    const transition = this.pendingTransition;
+    if (transition === null) {
+      return;
+    }
+
+    this.pendingTransition = null;
+
+    for (const [node, first] of transition.first) {
+      if (node.isConnected && !transition.leaving.includes(node)) {
+        const last = node.getBoundingClientRect();
+        const dx = first.left - last.left;
+        const dy = first.top - last.top;
+
+        if (dx !== 0 || dy !== 0) {
+          this.move(node, dx, dy);
+        }
+      }
+    }
+
+    for (const node of transition.entering) {
+      this.enter(node);
+    }
+
+    for (const node of transition.leaving) {
+      finished(this.leave(node)).then(() => this.finishLeaving(node));
+    }
+  }
+
+  // Detach a node that's done leaving, and let the nodes after it slide into its place.
+  finishLeaving(node) {
+    if (!this.leaving.has(node)) {
+      return;
+    }
+
+    const previousNodes = this.nodes;
+    const { after, item } = this.leaving.get(node);
+    this.leaving.delete(node);
+
+    // Nodes still leaving after this one now come after whatever it came after.
+    for (const entry of this.leaving.values()) {
+      if (entry.after === node) {
+        entry.after = after;
+      }
+    }
+
+    if (item !== null) {
+      item.remove();
+    }
+
+    if (this.animated) {
+      this.capturePositions(previousNodes);
+    }
+
     this.render();
   }
 
@@ -92,8 +367,30 @@ export class List extends Component {
 
   // `List#nodes` returns the HTML nodes for each of its item
   // views, sorted in order. Designed to make writing `#compose()` easier.
+  // Nodes that are leaving stay in their places until they're done.
   get nodes() {
-    return this.components.map((item) => item.node);
+    const nodes = this.components.map((item) => item.node);
+
+    // A leaving node may come after another leaving node, which has to be
+    // placed first, wherever it is in `this.leaving`.
+    const place = (node) => {
+      if (nodes.includes(node)) {
+        return;
+      }
+
+      const { after } = this.leaving.get(node);
+      if (after !== null && this.leaving.has(after)) {
+        place(after);
+      }
+
+      nodes.splice(after === null ? 0 : nodes.indexOf(after) + 1, 0, node);
+    };
+
+    for (const node of this.leaving.keys()) {
+      place(node);
+    }
+
+    return nodes;
   }
 
   // This iterator is called when JavaScript requests an iterator from a list,
@@ -110,6 +407,12 @@ export class List extends Component {
     for (const c of this.items.values()) {
       c.remove();
     }
+
+    for (const { item } of this.leaving.values()) {
+      if (item !== null) {
+        item.remove();
+      }
+    }
   }
 
   // By default, just render the children views in a `<ul/>`
@@ -129,3 +432,364 @@ export const ListOf = (itemClass) => {
     }
   };
 };
+
+// `VirtualList` is a `List` for stores too large to render all at once, with thousands
+// of records or more. It only constructs and mounts item components for the rows in its
+// viewport, plus a few on either side (`overscan`), and stands in for the rest with
+// padding of the same height. As the list scrolls, rows that leave that window are
+// removed, and rows that enter it are constructed.
+//
+// Rows are either all the same fixed height (`itemHeight`), which is cheapest, or
+// measured once they've rendered, starting from an estimate. When rows above the
+// viewport change height, or records are added or removed above it, the list keeps
+// whatever's at the top of the viewport in place, like the browser's scroll anchoring,
+// which can't see rows that aren't rendered. Records for which `isHeader()` returns true
+// are section headers that stick to the top of the viewport while their section is in view.
+//
+// The list itself is the scrolling element, so it needs a height, usually set with
+// `Styled()` or by its parent. Each item's node is wrapped in a `<div>` row. Rows
+// come and go as the list scrolls, so `List`'s transitions don't apply to them.
+// Subclasses overriding `#mounted()` or `#updated()` should call `super`'s.
+export class VirtualList extends List {
+  // Height of every row in pixels, or null if rows should be measured.
+  get itemHeight() {
+    return null;
+  }
+
+  // Height to assume for rows that haven't been measured yet, in pixels.
+  get estimatedItemHeight() {
+    return 40;
+  }
+
+  // Number of rows to render beyond each edge of the viewport.
+  get overscan() {
+    return 5;
+  }
+
+  // Whether a record is a section header that sticks to the top of the viewport.
+  isHeader(_record) {
+    return false;
+  }
+
+  init(store, ...itemData) {
+    // Records that pass the filter, in the order of the store, and their indexes.
+    this.records = [];
+    this.positions = new Map();
+    // Indexes of section headers among `this.records`, in order.
+    this.headers = [];
+    // Measured row heights by record, and the offset of the top of each row
+    // from the top of the list. `this.offsets` has one more entry, for the bottom.
+    this.heights = new WeakMap();
+    this.offsets = [0];
+    // Records of the rows we rendered last, in order, and the range of indexes in view.
+    this.rows = [];
+    this.start = 0;
+    this.end = 0;
+    this.scrollTop = 0;
+    this.onScroll = this.onScroll.bind(this);
+    // Rows are re-measured when their contents change size, and the window is
+    // recomputed when the viewport does, where `ResizeObserver` is supported.
+    this.resizeObserver = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(() => this.reflow());
+
+    super.init(store, ...itemData);
+  }
+
+  itemsChanged(changes) {
+    const data = this.store.summarize();
+    const records = this.filterFn === null ? data : data.filter(this.filterFn);
+    const previous = this.records;
+    const anchor = this.anchor();
+
+    this.records = records;
+    this.positions = new Map(records.map((record, i) => [record, i]));
+    this.headers = [];
+    for (let i = 0; i < records.length; i++) {
+      if (this.isHeader(records[i])) {
+        this.headers.push(i);
+      }
+    }
+
+    this.layout();
+    this.restoreAnchor(anchor);
+
+    // Like `List`, updated records re-render themselves, so we only re-render
+    // if an update moved a record, or in or out of the filter.
+    if (changes !== undefined && changes.updated !== undefined && changes.updated.length > 0) {
+      if (previous.length === records.length && records.every((record, i) => record === previous[i])) {
+        return;
+      }
+    }
+
+    this.updateRange();
+    this.render();
+  }
+
+  heightOf(record) {
+    if (this.itemHeight !== null) {
+      return this.itemHeight;
+    }
+
+    const height = this.heights.get(record);
+
+    return height === undefined ? this.estimatedItemHeight : height;
+  }
+
+  // Recompute the offset of every row from the heights we know.
+  layout() {
+    const offsets = new Array(this.records.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < this.records.length; i++) {
+      offsets[i + 1] = offsets[i] + this.heightOf(this.records[i]);
+    }
+
+    this.offsets = offsets;
+  }
+
+  // Index of the row at a given distance from the top of the list, by binary search.
+  indexAt(y) {
+    let low = 0;
+    let high = this.records.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.offsets[mid] <= y) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return Math.max(low, 0);
+  }
+
+  // Index of the header of the section the row at `index` is in, or -1 if it isn't in one.
+  headerFor(index) {
+    let low = 0;
+    let high = this.headers.length - 1;
+    let header = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.headers[mid] <= index) {
+        header = this.headers[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return header;
+  }
+
+  get viewportHeight() {
+    const height = hasDOM && this.node !== undefined ? this.node.clientHeight : 0;
+
+    // Before the list is in the document, or if it isn't given a height, we
+    // fill the window, so there's something to show either way.
+    return height > 0 ? height : hasDOM ? window.innerHeight : 0;
+  }
+
+  // The top row in view and how far it's scrolled past, to keep it in place when rows change.
+  anchor() {
+    if (this.scrollTop === 0 || this.records.length === 0) {
+      return null;
+    }
+
+    const index = this.indexAt(this.scrollTop);
+
+    return { record: this.records[index], delta: this.scrollTop - this.offsets[index] };
+  }
+
+  restoreAnchor(anchor) {
+    if (anchor !== null && this.positions.has(anchor.record)) {
+      this.scrollTop = Math.max(this.offsets[this.positions.get(anchor.record)] + anchor.delta, 0);
+    }
+  }
+
+  // Recompute which rows are in view, and returns whether they changed.
+  updateRange() {
+    const count = this.records.length;
+    const start = Math.max(this.indexAt(this.scrollTop) - this.overscan, 0);
+    const bottom = this.indexAt(this.scrollTop + this.viewportHeight);
+    const end = count === 0 ? 0 : Math.min(bottom + 1 + this.overscan, count);
+    const changed = start !== this.start || end !== this.end;
+
+    this.start = start;
+    this.end = end;
+
+    // The header of the section at the top of the viewport is rendered even if
+    // it's above the window, so it can stick to the top.
+    const header = this.headerFor(this.indexAt(this.scrollTop));
+    const rows = this.records.slice(start, end);
+    if (header !== -1 && header < start) {
+      rows.unshift(this.records[header]);
+    }
+
+    // Construct items for rows coming into view, and remove the ones that went out of it.
+    const items = new Map();
+    for (const record of rows) {
+      items.set(
+        record,
+        this.items.has(record)
+          ? this.items.get(record)
+          : new this.itemClass(record, () => this.store.remove(record), ...this.itemData)
+      );
+    }
+
+    for (const [record, item] of this.items) {
+      if (!items.has(record)) {
+        item.remove();
+      }
+    }
+
+    this.items = items;
+
+    return changed || rows.length !== this.rows.length || rows.some((record, i) => record !== this.rows[i]);
+  }
+
+  // Measure the rendered rows, and returns whether any of their heights changed.
+  measureRows() {
+    if (this.itemHeight !== null || !hasDOM || this.node.firstChild === null) {
+      return false;
+    }
+
+    let changed = false;
+    const rowNodes = this.node.firstChild.children;
+    for (let i = 0; i < rowNodes.length && i < this.rows.length; i++) {
+      const height = rowNodes[i].getBoundingClientRect().height;
+
+      // Rows that aren't laid out, like in a hidden list, measure as 0.
+      if (height > 0 && height !== this.heights.get(this.rows[i])) {
+        this.heights.set(this.rows[i], height);
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  // Re-measure rows and the viewport, and re-render if anything in view moved.
+  reflow() {
+    const anchor = this.anchor();
+    const measured = this.measureRows();
+
+    if (measured) {
+      this.layout();
+      this.restoreAnchor(anchor);
+    }
+
+    if (this.updateRange() || measured) {
+      this.render();
+    }
+  }
+
+  onScroll() {
+    this.scrollTop = this.node.scrollTop;
+
+    if (this.updateRange()) {
+      this.render();
+    }
+  }
+
+  mounted() {
+    this.afterRender();
+  }
+
+  updated() {
+    this.afterRender();
+  }
+
+  // Once rows are in the document, scroll to where anchoring put us,
+  // watch the rows for changes in size, and measure them.
+  afterRender() {
+    if (this.node.scrollTop !== this.scrollTop) {
+      this.node.scrollTop = this.scrollTop;
+    }
+
+    if (this.resizeObserver !== null) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver.observe(this.node);
+      for (const rowNode of this.node.firstChild.children) {
+        this.resizeObserver.observe(rowNode);
+      }
+    }
+
+    this.reflow();
+  }
+
+  remove() {
+    super.remove();
+
+    if (this.resizeObserver !== null) {
+      this.resizeObserver.disconnect();
+    }
+  }
+
+  composeRow(record, detached) {
+    const style = {};
+
+    if (this.itemHeight !== null) {
+      style.height = this.itemHeight + "px";
+    }
+
+    if (this.isHeader(record)) {
+      style.position = "sticky";
+      style.top = "0";
+      style.zIndex = "1";
+
+      // A header rendered above the window, for its section, doesn't take
+      // up any room, so the rows after it are still where we expect them.
+      if (detached) {
+        style.marginBottom = -this.heightOf(record) + "px";
+      }
+    }
+
+    return {
+      tag: "div",
+      attrs: { key: record, style },
+      children: [this.items.get(record).node],
+    };
+  }
+
+  compose() {
+    const rows = [];
+    for (const record of this.items.keys()) {
+      rows.push(this.composeRow(record, this.positions.get(record) < this.start));
+    }
+
+    this.rows = [...this.items.keys()];
+
+    return {
+      tag: "div",
+      attrs: {
+        // We anchor scrolling ourselves, so the browser shouldn't.
+        style: { overflowY: "auto", overflowAnchor: "none" },
+      },
+      events: {
+        scroll: { handler: this.onScroll, passive: true },
+      },
+      children: [
+        {
+          tag: "div",
+          attrs: {
+            style: {
+              boxSizing: "border-box",
+              height: this.offsets[this.records.length] + "px",
+              paddingTop: this.offsets[this.start] + "px",
+            },
+          },
+          children: rows,
+        },
+      ],
+    };
+  }
+}
+
+// Higher-order component to create a virtualized list component for a given child item component.
+export const VirtualListOf = (itemClass) => {
+  return class extends VirtualList {
+    get itemClass() {
+      return itemClass;
+    }
+  };
+};
@@ -0,0 +1,194 @@
+import { whenDone } from "./common.js";
+
+/**
+ * Storage adapter for the Web Storage API, i.e. `localStorage` or `sessionStorage`.
+ * Values are stored as JSON strings.
+ */
+export class WebStorageAdapter {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  load(key) {
+    const value = this.storage.getItem(key);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  save(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+}
+
+/**
+ * Storage adapter for IndexedDB, for data too large for Web Storage. Unlike
+ * `WebStorageAdapter`, loading and saving are asynchronous, so stores using it
+ * are empty (or hold their initial records) until their `ready` promise resolves.
+ */
+export class IndexedDBAdapter {
+  constructor(dbName = "arlo", storeName = "stores") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  // Open the database once, creating the object store if needed.
+  open() {
+    if (this.db === null) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        // Try opening again next time, instead of failing every request from now on.
+        this.db = null;
+        throw error;
+      });
+    }
+
+    return this.db;
+  }
+
+  // Run a single request against the object store, and resolve with its result.
+  request(mode, fn) {
+    return this.open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+  }
+
+  load(key) {
+    return this.request("readonly", (objectStore) => objectStore.get(key));
+  }
+
+  save(key, value) {
+    return this.request("readwrite", (objectStore) => objectStore.put(value, key));
+  }
+}
+
+// Bring stored data up to the current schema version, by running each migration
+// function between the stored version and the current one, in order.
+// Data saved without a version envelope (or without a version in it) is treated as
+// version 0. Anything that's neither a list of records nor an envelope is rejected.
+const migrate = (stored, version, migrations) => {
+  let storedVersion = 0;
+  let records = stored;
+
+  if (!Array.isArray(stored)) {
+    if (typeof stored !== "object" || !Array.isArray(stored.records)) {
+      throw new Error("stored data is neither a list of records nor a versioned envelope.");
+    }
+
+    storedVersion = stored.version === undefined ? 0 : stored.version;
+    records = stored.records;
+  }
+
+  for (let v = storedVersion + 1; v <= version; v++) {
+    if (migrations[v] !== undefined) {
+      records = migrations[v](records);
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Higher-order function to make a Store class persistent. The returned class
+ * rehydrates itself from storage when constructed, and saves itself (debounced)
+ * every time it emits an event. Records are rebuilt through the store's `recordClass`.
+ * Stored records replace the initial ones, but records added while an asynchronous
+ * adapter is still loading are kept alongside them.
+ *
+ * Options are:
+ * - `key`, the key to store data under (required)
+ * - `adapter`, a storage adapter with `load(key)` and `save(key, value)` methods,
+ *   which may return promises (defaults to a `WebStorageAdapter` for `localStorage`)
+ * - `version`, the current schema version (defaults to 1)
+ * - `migrations`, a dictionary of functions keyed by the version they migrate to,
+ *   each taking and returning a list of serialized records
+ * - `debounce`, how many milliseconds to wait for more changes before saving (defaults to 100)
+ *
+ * @param {*} Base
+ * @param {*} options
+ * @returns Persistent Store class.
+ */
+export const Persisted = (Base, { key, adapter, version = 1, migrations = {}, debounce = 100 }) => {
+  return class extends Base {
+    constructor(...args) {
+      super(...args);
+
+      this.adapter = adapter || new WebStorageAdapter(localStorage);
+      this.saveTimeout = null;
+
+      // We don't save anything until we've loaded what's already stored,
+      // or we'd overwrite it with the initial records.
+      this.hydrated = false;
+
+      // Records added while we're loading asynchronously. Stored records replace the
+      // initial ones, but these are kept alongside them once we're done.
+      this.addedWhileLoading = new Set();
+
+      const hydrate = (stored) => {
+        const records = stored === undefined || stored === null ? null : migrate(stored, version, migrations);
+        const added = this.addedWhileLoading === null ? [] : [...this.addedWhileLoading];
+        this.addedWhileLoading = null;
+
+        if (records !== null) {
+          this.deserialize(records);
+        }
+
+        this.hydrated = true;
+
+        for (const record of added) {
+          this.add(record);
+        }
+      };
+
+      // If loading fails, like when IndexedDB is blocked, we carry on with what
+      // we have, so the store still saves from now on.
+      const fail = (error) => {
+        console.error(`failed to load stored data for "${key}".`, error);
+        hydrate(undefined);
+      };
+
+      // A promise that resolves once the store has been rehydrated.
+      this.ready = new Promise((resolve) => resolve(whenDone(this.adapter.load(key), hydrate))).catch(fail);
+    }
+
+    emitEvent(changes) {
+      super.emitEvent(changes);
+
+      // `Store`'s constructor emits before our constructor has run.
+      if (this.hydrated) {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+          // Failed saves, like with a full quota, are reported instead of left unhandled.
+          new Promise((resolve) => resolve(this.persist())).catch((error) =>
+            console.error(`failed to save stored data for "${key}".`, error)
+          );
+        }, debounce);
+      } else if (this.addedWhileLoading !== undefined && this.addedWhileLoading !== null && changes !== undefined) {
+        for (const record of changes.added) {
+          this.addedWhileLoading.add(record);
+        }
+
+        for (const record of changes.removed) {
+          this.addedWhileLoading.delete(record);
+        }
+      }
+    }
+
+    // Save the store right away, skipping the debounce. Returns the adapter's
+    // result, which may be a promise.
+    persist() {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+
+      return this.adapter.save(key, { version, records: this.serialize() });
+    }
+  };
+};
@@ -18,12 +18,79 @@ export class Record extends Evented {
 
     this.id = id;
     this.data = data;
+
+    // How many `#batch()` calls deep we are, and the changes accumulated
+    // in the outermost batch so far.
+    this.batchDepth = 0;
+    this.pendingChanges = null;
   }
 
-  // Setter for properties
+  // Setter for properties. Handlers are called with the record's summary, and a
+  // change set describing which properties changed, like
+  // `{ completed: { previous: false, next: true } }`. Values are compared by identity,
+  // so if nothing actually changed, no event is emitted at all.
   update(data) {
+    const changes = {};
+    let changed = false;
+
+    for (const key of Object.keys(data)) {
+      const previous = this.data[key];
+      const next = data[key];
+
+      if (!Object.is(previous, next)) {
+        changes[key] = { previous, next };
+        changed = true;
+      }
+    }
+
     Object.assign(this.data, data);
-    this.emitEvent();
+
+    if (changed) {
+      if (this.batchDepth > 0) {
+        this.mergeChanges(changes);
+      } else {
+        this.emitEvent(changes);
+      }
+    }
+  }
+
+  // Run `fn`, coalescing all updates made to this record inside of it into a
+  // single event, emitted once the outermost batch finishes. Returns the result of `fn`.
+  batch(fn) {
+    this.batchDepth++;
+
+    try {
+      return fn(this);
+    } finally {
+      if (--this.batchDepth === 0 && this.pendingChanges !== null) {
+        const changes = this.pendingChanges;
+        this.pendingChanges = null;
+
+        if (Object.keys(changes).length > 0) {
+          this.emitEvent(changes);
+        }
+      }
+    }
+  }
+
+  // Fold a change set into the pending changes of the current batch. A property
+  // changed more than once keeps its first previous value and its last next value,
+  // and is dropped if it ends up back where it started.
+  mergeChanges(changes) {
+    const pending = this.pendingChanges || {};
+
+    for (const key of Object.keys(changes)) {
+      const previous = key in pending ? pending[key].previous : changes[key].previous;
+      const next = changes[key].next;
+
+      if (Object.is(previous, next)) {
+        delete pending[key];
+      } else {
+        pending[key] = { previous, next };
+      }
+    }
+
+    this.pendingChanges = pending;
   }
 
   // Getter
@@ -1,55 +1,198 @@
+import { isObject, whenDone } from "./common.js";
 import { Evented } from "./evented.js";
 
+// How many guard redirects we follow in one navigation before giving up, to
+// keep guards that redirect to each other from looping forever.
+const MAX_REDIRECTS = 10;
+
+// Escape a string for literal use inside of a regular expression.
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 /**
  * Helper function for the router. It takes a route string
  * that contains parameters like, `/path/:param1/path/:param2`
  * and returns a regular expression to match that route
- * and a list of params in that route.
+ * and a list of params in that route. Parameters ending in `?`, like
+ * `:param?`, are optional, and `*` (or a named `*param`) matches the rest of
+ * the path. If the route has child routes, the rest of the path after the
+ * route is also captured, as the last group.
  *
  * @param {*} route
+ * @param {*} hasChildren
  * @returns Regular expression and list of parameter names
  */
-const routeStringToRegExp = (route) => {
-  let match;
+const routeStringToRegExp = (route, hasChildren) => {
   const parameterNames = [];
+  let pattern = "";
+
+  for (const segment of route.split("/")) {
+    if (segment === "") {
+      continue;
+    } else if (segment[0] === ":") {
+      const optional = segment.endsWith("?");
+      parameterNames.push(segment.substring(1, optional ? segment.length - 1 : segment.length));
+      pattern += optional ? "(?:/([^/]+))?" : "/([^/]+)";
+    } else if (segment[0] === "*") {
+      parameterNames.push(segment.substring(1) || "*");
+      pattern += "(?:/(.*))?";
+    } else {
+      pattern += "/" + escapeRegExp(segment);
+    }
+  }
+
+  // A trailing slash is always allowed, since static hosts like GitHub Pages
+  // serve directory indexes both with and without one.
+  return [new RegExp("^" + pattern + (hasChildren ? "((?:/.*)?)$" : "/?$")), parameterNames];
+};
+
+/**
+ * Split a path into its pathname and the rest (the query string and hash).
+ *
+ * @param {*} path
+ * @returns Pathname and suffix
+ */
+const splitPath = (path) => {
+  const idx = path.search(/[?#]/);
+  return idx === -1 ? [path, ""] : [path.substring(0, idx), path.substring(idx)];
+};
+
+/**
+ * Parse the query string and hash of a path suffix, like `?a=1&b=2#top`.
+ * Repeated query parameters are collected into arrays.
+ *
+ * @param {*} suffix
+ * @returns Dictionary of query parameters, and the hash
+ */
+const parseSuffix = (suffix) => {
+  const hashIdx = suffix.indexOf("#");
+  const search = hashIdx === -1 ? suffix : suffix.substring(0, hashIdx);
+  const hash = hashIdx === -1 ? "" : suffix.substring(hashIdx + 1);
+  const query = {};
 
-  while (match !== null) {
-    match = /:\w+/.exec(route);
-    if (match) {
-      const parameterName = match[0];
-      parameterNames.push(parameterName.substring(1));
-      route = route.replace(parameterName, "(.+)");
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
     }
   }
 
-  return [new RegExp(route), parameterNames];
+  return [query, hash];
 };
 
 /**
  * Front-end router. A routing component can bind
  * to updates from the Router instead of a Record, and re-render
  * different subviews when the routes change.
+ *
+ * Routes are given as a dictionary of names to route strings, or to route
+ * definitions of the form `{ path, beforeEnter, load, component }`, where:
+ * - `beforeEnter(to, from)` is a guard, which can return `false` to cancel the
+ *   navigation, or a path to redirect to (or a promise of either). If it throws
+ *   or rejects, the navigation finishes with the error, like a failed `load`
+ * - `load(to)` loads data for the route, and may return a promise
+ * - `component()` lazily loads the route's component, usually with `import()`
+ * Both `to` and `from` are of the form `{ name, params, path, query, hash }`.
+ *
+ * Options are:
+ * - `mode`, either `"history"` (the default) to route on the location's path,
+ *   or `"hash"` to route on the location's hash, like `/#/path`, which works on
+ *   static hosts that can't serve every path, like GitHub Pages
+ * - `fallback`, the name to report when no route matches (defaults to null)
  */
 export class Router extends Evented {
-  constructor(routes) {
+  constructor(routes, { mode = "history", fallback = null, parent = null, parentRoute = null } = {}) {
     super();
 
-    // We parse the given dictionary of routes into three things:
-    // the name of the route, the route regular expression, and
-    // the list of params in that route.
-    this.routes = Object.entries(routes).map(([name, route]) => [name, ...routeStringToRegExp(route)]);
+    this.mode = mode;
+    this.fallback = fallback;
+
+    // The route strings, and the names of routes which have child routers,
+    // so we can rebuild route regular expressions when children are added.
+    this.routeStrings = routes;
+    this.parentRoutes = new Set();
+    this.compileRoutes();
+
+    // Last matched route's information is cached here. The summary of a
+    // router is `[name, params, details]`, where `details` is a dictionary of
+    // the matched `path`, the parsed `query` parameters and the `hash`, and the
+    // route's loaded `data` and `component`. While those are loading, `details.status`
+    // is `"pending"`, and if either fails to load (or the guard fails), it's `"error"` with the `error`.
+    this.lastMatch = [fallback, {}, { path: "", query: {}, hash: "", status: "ready" }];
+
+    // Lazily loaded route components, cached by route name.
+    this.components = new Map();
+
+    // Incremented on every navigation, so async guards and loaders from an
+    // older navigation know they've been superseded.
+    this.navigationId = 0;
+
+    // Options for intercepting link clicks, once `#interceptLinks()` is called.
+    // Until then, the router leaves scrolling and focus to the browser.
+    this.linkOptions = null;
+    this.pendingScroll = null;
+    this.settling = false;
+
+    // The last routed path, and its query string and hash, which are handed
+    // down to child routers.
+    this.lastPath = null;
+    this.lastSuffix = "";
 
-    // Last matched route's information is cached here
-    this.lastMatch = ["", null];
+    if (parent !== null) {
+      // Child routers don't listen to the browser. Instead, they route the
+      // rest of the path whenever their parent matches their parent route.
+      this.parent = parent;
+      this.parentRoute = parentRoute;
+      this._cb = ([name, _params, details]) => {
+        const path = name === parentRoute ? details.rest + parent.lastSuffix : null;
 
-    // Whenever the browser pops the history state (i.e. when the user
-    // goes back with the back button or forward with the forward button),
-    // we need to route again.
-    this._cb = () => this.route(location.pathname);
-    window.addEventListener("popstate", this._cb);
+        // Our parent also emits when its route's data finishes loading, but we
+        // only need to route again when the part of the path that's ours changes.
+        if (path !== this.lastPath) {
+          this.route(path);
+        }
+      };
+      parent.addHandler(this._cb);
+    } else {
+      // Whenever the browser pops the history state (i.e. when the user
+      // goes back with the back button or forward with the forward button),
+      // or the hash changes in hash mode, we need to route again.
+      this.parent = null;
+      this.eventName = mode === "hash" ? "hashchange" : "popstate";
+      this._cb = () => {
+        // When going back or forward, restore the scroll position saved in that entry.
+        if (this.linkOptions !== null) {
+          this.pendingScroll = (history.state && history.state.arloScroll) || null;
+          this.settling = true;
+        }
+
+        this.route(this.currentPath());
+      };
+      window.addEventListener(this.eventName, this._cb);
+
+      // Route the current URL, if it's already a deep link to a path.
+      this._cb();
+    }
+  }
+
+  // We parse the given dictionary of routes into three things:
+  // the name of the route, the route regular expression, and
+  // the list of params in that route.
+  // Route definitions are kept as the fourth item.
+  compileRoutes() {
+    this.routes = Object.entries(this.routeStrings).map(([name, route]) => {
+      const definition = isObject(route) ? route : { path: route };
+      return [name, ...routeStringToRegExp(definition.path, this.parentRoutes.has(name)), definition];
+    });
+  }
+
+  // The current location, as the router sees it.
+  currentPath() {
+    if (this.mode === "hash") {
+      return location.hash.substring(1) || "/";
+    }
 
-    // Route the current URL, if it's already a deep link to a path.
-    this._cb();
+    return location.pathname + location.search + location.hash;
   }
 
   // The 'summary' of this Evented (components can bind to this object)
@@ -58,28 +201,211 @@ export class Router extends Evented {
     return this.lastMatch;
   }
 
+  // Create a router for the routes nested under one of this router's routes.
+  // The child router matches the rest of the path after the parent route, and
+  // matches nothing (reporting its fallback) when the parent route isn't active.
+  child(name, routes, options = {}) {
+    this.parentRoutes.add(name);
+    this.compileRoutes();
+
+    // Match the last path again, so the parent route's match has the rest of the path for
+    // the child. If we're already on that route, there's no need to navigate to it (and run
+    // its guard and loader) again. Paths that only match now, like deep links into the
+    // child's routes, are navigated to.
+    if (this.lastPath !== null) {
+      const [matched, , details] = this.match(this.lastPath);
+
+      if (matched !== this.lastMatch[0]) {
+        this.route(this.lastPath);
+      } else if (matched === name) {
+        const [, params, lastDetails] = this.lastMatch;
+        this.lastMatch = [name, params, Object.assign({}, lastDetails, { rest: details.rest, base: details.base })];
+      }
+    }
+
+    return new Router(routes, Object.assign({}, options, { parent: this, parentRoute: name }));
+  }
+
   // Click events from links can call `this.go()` with the destination URL
   // to trigger going to a new route without reloading the page. New routes
-  // are only added to the session history if the route is indeed new.
+  // are only added to the session history if the route is indeed new, and
+  // only once the route's guard (if any) lets us through.
+  // Child routers go to destinations relative to their parent route.
   go(destination, { replace = false } = {}) {
-    if (window.location.pathname !== destination) {
-      if (replace) {
-        history.replaceState(null, document.title, destination);
+    if (this.parent !== null) {
+      this.goThroughParent(destination, replace);
+    } else if (this.currentPath() !== destination) {
+      this.settling = this.linkOptions !== null;
+      this.navigate(destination, () => this.setLocation(destination, replace), 0, replace);
+    }
+  }
+
+  // The part of our parent's path that a child router's destinations are relative to.
+  // That's what the parent route matched if it's active, or else the route's own path,
+  // which we can only use if it has no parameters we'd have to fill in. Returns null
+  // if we can't tell.
+  parentBase() {
+    const [name, , details] = this.parent.lastMatch;
+    if (name === this.parentRoute) {
+      return details.base;
+    }
+
+    const [, , paramNames, definition] = this.parent.routes.find(([routeName]) => routeName === this.parentRoute);
+    if (paramNames.length > 0) {
+      return null;
+    }
+
+    // Like matched bases, this has no trailing slash, and is empty for the root.
+    return definition.path.replace(/\/+$/, "");
+  }
+
+  // Child routers navigate by having their parent go to the full path. If we can't
+  // tell what that is, the navigation fails with the error, like one whose guard threw,
+  // without changing the path we're on.
+  goThroughParent(destination, replace) {
+    const base = this.parentBase();
+
+    if (base !== null) {
+      this.parent.go(base + destination, { replace });
+
+      return;
+    }
+
+    const [name, params, details] = this.match(destination);
+    const error = new Error(
+      `cannot go to ${destination} while the "${this.parentRoute}" route isn't active, since its path has parameters.`
+    );
+
+    this.navigationId++;
+    this.lastMatch = [name, params, Object.assign({}, details, { status: "error", error })];
+    this.emitEvent();
+  }
+
+  // Handle clicks on same-origin links within `root` (the whole document by default)
+  // by routing to them, instead of letting the browser load a new page. Links that
+  // open elsewhere (with `target` or `download`), clicks with modifier keys, and links
+  // to paths none of our routes match are left to the browser. Once enabled, the
+  // router also restores scroll positions on back and forward, and moves focus to
+  // the first element matching `focus` after each navigation, for screen reader users.
+  interceptLinks({ root = document, focus = "h1, main" } = {}) {
+    this.linkOptions = { root, focus };
+    history.scrollRestoration = "manual";
+
+    this._linkCb = (evt) => {
+      if (evt.defaultPrevented || evt.button !== 0 || evt.metaKey || evt.ctrlKey || evt.shiftKey || evt.altKey) {
+        return;
+      }
+
+      // `composedPath()` lets us see links inside of shadow roots, too.
+      const link = evt.composedPath().find((el) => el.tagName === "A" && el.hasAttribute("href"));
+      if (link === undefined || (link.target && link.target !== "_self") || link.hasAttribute("download")) {
+        return;
+      }
+
+      const url = new URL(link.href, location.href);
+      if (url.origin !== location.origin) {
+        return;
+      }
+
+      let destination;
+      if (this.mode === "hash") {
+        // In hash mode, only links to routes on this page, like `#/path`, are ours.
+        if (url.pathname !== location.pathname || !url.hash.startsWith("#/")) {
+          return;
+        }
+
+        destination = url.hash.substring(1);
       } else {
-        history.pushState(null, document.title, destination);
+        // Links to a hash on the current page should just scroll, like normal.
+        if (url.pathname === location.pathname && url.search === location.search && url.hash !== "") {
+          return;
+        }
+
+        destination = url.pathname + url.search + url.hash;
+      }
+
+      // Other pages on the same site aren't ours to route.
+      if (!this.routes.some(([, routeRe]) => routeRe.test(splitPath(destination)[0]))) {
+        return;
+      }
+
+      evt.preventDefault();
+      this.go(destination);
+    };
+
+    root.addEventListener("click", this._linkCb);
+  }
+
+  // Once a navigation has been entered and rendered, restore or reset the scroll
+  // position and move focus, if we're intercepting links.
+  settle() {
+    if (!this.settling) {
+      return;
+    }
+
+    const scroll = this.pendingScroll;
+    const [, , details] = this.lastMatch;
+    this.settling = false;
+    this.pendingScroll = null;
+
+    // Wait a frame, so components that render on the scheduler are up to date.
+    requestAnimationFrame(() => {
+      const target = details.hash ? document.getElementById(details.hash) : null;
+
+      if (scroll !== null) {
+        window.scrollTo(scroll[0], scroll[1]);
+      } else if (target !== null) {
+        target.scrollIntoView();
+      } else {
+        window.scrollTo(0, 0);
+      }
+
+      const focusTarget = document.querySelector(this.linkOptions.focus);
+      if (focusTarget !== null) {
+        if (!focusTarget.hasAttribute("tabindex")) {
+          focusTarget.setAttribute("tabindex", "-1");
+        }
+
+        focusTarget.focus({ preventScroll: true });
       }
+    });
+  }
+
+  // Update the browser's location to a path, adding a new session history entry
+  // unless we're replacing the current one.
+  setLocation(path, replace) {
+    const url = this.mode === "hash" ? "#" + path : path;
+
+    // Remember where we were scrolled to in the entry we're leaving, so we can
+    // restore it if the user comes back to it.
+    if (this.linkOptions !== null && !replace) {
+      const state = Object.assign({}, history.state, { arloScroll: [window.scrollX, window.scrollY] });
+      history.replaceState(state, document.title);
+    }
 
-      this.route(destination);
+    if (replace) {
+      history.replaceState(null, document.title, url);
+    } else {
+      history.pushState(null, document.title, url);
     }
   }
 
   // Main procedure to reconcile which of the defined route the current
-  // location path matches, and dispatch the right event. Routes are checked
-  // in order of declaration.
+  // location path matches, and dispatch the right event. Routing `null` matches nothing.
   route(path) {
+    this.navigate(path, null);
+  }
+
+  // Find the first route, in order of declaration, that matches a path. Returns
+  // the route's name, params, details and definition, or the fallback if none match.
+  match(path) {
+    const [pathname, suffix] = splitPath(path === null ? "" : path);
+    const [query, hash] = parseSuffix(suffix);
+    const details = { path: pathname, query, hash };
+
     // Match destination against the route regular expressions
-    for (const [name, routeRe, paramNames] of this.routes) {
-      const match = routeRe.exec(path);
+    for (const [name, routeRe, paramNames, definition] of path === null ? [] : this.routes) {
+      const match = routeRe.exec(pathname);
 
       if (match !== null) {
         const result = {};
@@ -87,20 +413,182 @@ export class Router extends Evented {
 
         // Given the matched values and parameter names,
         // build a dictionary of params that components can use
-        // to re-render based on the route.
-        paramNames.forEach((name, i) => (result[name] = paramValues[i]));
-        this.lastMatch = [name, result];
+        // to re-render based on the route. Optional parameters that
+        // weren't given are left undefined.
+        try {
+          paramNames.forEach((name, i) => {
+            result[name] = paramValues[i] === undefined ? undefined : decodeURIComponent(paramValues[i]);
+          });
+        } catch (e) {
+          // A param with a malformed escape, like `%E0%A4%A`, can't be decoded,
+          // so the path doesn't match this route after all.
+          if (e instanceof URIError) {
+            continue;
+          }
+
+          throw e;
+        }
+
+        // For routes with child routers, the rest of the path is for the children,
+        // and the part of the path before it is their base.
+        if (this.parentRoutes.has(name)) {
+          details.rest = paramValues[paramNames.length] || "/";
+          details.base = pathname.substring(0, pathname.length - (paramValues[paramNames.length] || "").length);
+        }
+
+        return [name, result, details, definition, suffix];
+      }
+    }
+
+    return [this.fallback, {}, details, {}, suffix];
+  }
+
+  // Navigate to a path: run the route's guard, then commit the navigation (for
+  // `#go()`, by pushing the URL to the session history) and enter the route.
+  // `replace` is whether the navigation replaces the current history entry, which
+  // redirects from the guard keep doing.
+  navigate(path, commit, redirects = 0, replace = false) {
+    const id = ++this.navigationId;
+    const [name, params, details, definition, suffix] = this.match(path);
+    const to = Object.assign({ name, params }, details);
+    const from = Object.assign({ name: this.lastMatch[0], params: this.lastMatch[1] }, this.lastMatch[2]);
+    const guard = definition.beforeEnter;
+    const fail = (error) => this.fail(id, path, commit, suffix, [name, params, details], error);
+
+    let guarded;
+    try {
+      guarded = guard ? guard(to, from) : true;
+    } catch (error) {
+      fail(error);
 
-        break;
+      return;
+    }
+
+    const proceed = (result) => {
+      // A newer navigation started while we were waiting on the guard.
+      if (id !== this.navigationId) {
+        return;
+      }
+
+      if (result === false) {
+        this.settling = false;
+
+        // If the browser already moved to the new URL (i.e. on back/forward),
+        // move it back to where we were.
+        if (commit === null && this.parent === null && this.lastPath !== null) {
+          this.setLocation(this.lastPath, true);
+        }
+      } else if (typeof result === "string") {
+        if (redirects >= MAX_REDIRECTS) {
+          fail(new Error(`too many redirects navigating to ${path}.`));
+        } else {
+          this.redirect(result, replace || commit === null, redirects + 1);
+        }
+      } else {
+        if (commit !== null) {
+          commit();
+        }
+
+        this.enter(id, path, suffix, [name, params, details], definition);
       }
+    };
+
+    whenDone(guarded, proceed, fail);
+  }
+
+  // Finish a navigation whose guard failed by entering its route with the error,
+  // the same way as if the route's data had failed to load.
+  fail(id, path, commit, suffix, [name, params, details], error) {
+    if (id !== this.navigationId) {
+      return;
+    }
+
+    if (commit !== null) {
+      commit();
+    }
+
+    this.lastPath = path;
+    this.lastSuffix = suffix;
+    this.lastMatch = [name, params, Object.assign({}, details, { status: "error", error })];
+    this.emitEvent();
+    this.settle();
+  }
+
+  // Follow a redirect from a guard. If the browser is already at the URL we're
+  // redirecting away from, we replace it in the session history.
+  redirect(destination, replace, redirects) {
+    if (this.parent !== null) {
+      this.goThroughParent(destination, replace);
+    } else {
+      this.navigate(destination, () => this.setLocation(destination, replace), redirects, replace);
+    }
+  }
+
+  // Make a matched route the current route and emit it, then load the route's
+  // data and component, if it has any, and emit again once they're loaded.
+  enter(id, path, suffix, [name, params, details], definition) {
+    this.lastPath = path;
+    this.lastSuffix = suffix;
+
+    const loading = [];
+
+    // Loaders and components that throw right away fail the same way as ones that reject.
+    if (definition.load) {
+      loading.push(new Promise((resolve) => resolve(definition.load(Object.assign({ name, params }, details)))));
+    }
+
+    if (definition.component && !this.components.has(name)) {
+      loading.push(
+        new Promise((resolve) => resolve(definition.component())).then((module) => {
+          // Modules loaded with `import()` usually export the component as their default.
+          this.components.set(name, module.default !== undefined ? module.default : module);
+        })
+      );
     }
 
+    if (loading.length === 0) {
+      details.component = this.components.get(name);
+      details.status = "ready";
+      this.lastMatch = [name, params, details];
+      this.emitEvent();
+      this.settle();
+
+      return;
+    }
+
+    this.lastMatch = [name, params, Object.assign({}, details, { status: "pending" })];
     this.emitEvent();
+
+    Promise.all(loading).then(
+      ([data]) => {
+        if (id === this.navigationId) {
+          const loaded = { data: definition.load ? data : undefined, component: this.components.get(name) };
+          this.lastMatch = [name, params, Object.assign({}, details, loaded, { status: "ready" })];
+          this.emitEvent();
+          this.settle();
+        }
+      },
+      (error) => {
+        if (id === this.navigationId) {
+          this.lastMatch = [name, params, Object.assign({}, details, { status: "error", error })];
+          this.emitEvent();
+          this.settle();
+        }
+      }
+    );
   }
 
   // When we don't want the router to work anymore / stop listening / be gc'd,
   // we can call `#remove()` to do just that.
   remove() {
-    window.removeEventListener("popstate", this._cb);
+    if (this.parent !== null) {
+      this.parent.removeHandler(this._cb);
+    } else {
+      window.removeEventListener(this.eventName, this._cb);
+    }
+
+    if (this.linkOptions !== null) {
+      this.linkOptions.root.removeEventListener("click", this._linkCb);
+    }
   }
 }
@@ -0,0 +1,143 @@
+/**
+ * Priorities for scheduled renders. Lower numbers flush first. `HIGH` renders
+ * are always flushed in the frame they were scheduled for, while `NORMAL` and
+ * `LOW` renders may be spread across several frames if a frame's budget runs out.
+ */
+export const Priority = {
+  HIGH: 0,
+  NORMAL: 1,
+  LOW: 2,
+};
+
+// How many milliseconds of each frame we're willing to spend flushing renders
+// before yielding back to the browser. About half of a 60fps frame, so the
+// browser still has time to handle input, layout and paint.
+const FRAME_BUDGET = 8;
+
+// Pending tasks, keyed by their owner (usually a `Component`). Keying by owner
+// is how we dedupe repeated renders of the same component within a frame: a
+// later request replaces the earlier one, since it has the more recent data.
+// `Map` iterates in insertion order, which we rely on to keep equal-priority
+// tasks flushing in the order they were first scheduled.
+let pending = new Map();
+
+// Handle for the next scheduled flush, or null if none is scheduled.
+let frameRequest = null;
+
+// Are we in the middle of flushing tasks? Components check this, and render
+// right away when asked to during a flush, rather than scheduling. Tasks that are
+// scheduled during a flush anyway wait in `pending` until the flush is done, which
+// then requests a frame for them.
+let flushing = false;
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+const requestFrame = (fn) =>
+  typeof requestAnimationFrame === "function" ? requestAnimationFrame(fn) : setTimeout(fn, 16);
+
+const cancelFrame = (handle) =>
+  typeof cancelAnimationFrame === "function" ? cancelAnimationFrame(handle) : clearTimeout(handle);
+
+// Run pending tasks in priority order until the frame budget is exhausted.
+// Whatever is left over is carried over to the next frame.
+const flush = (budget) => {
+  frameRequest = null;
+  flushing = true;
+
+  const tasks = [...pending.entries()].sort((a, b) => a[1].priority - b[1].priority);
+  const start = now();
+  pending = new Map();
+
+  try {
+    let i = 0;
+    for (const len = tasks.length; i < len; i++) {
+      const [owner, task] = tasks[i];
+
+      if (task.priority !== Priority.HIGH && i > 0 && now() - start > budget) {
+        break;
+      }
+
+      // If an earlier task in this flush scheduled this owner again, only its
+      // latest task runs, now, instead of also running in the next frame.
+      const latest = pending.has(owner) ? pending.get(owner) : task;
+      pending.delete(owner);
+
+      // One failing task shouldn't cost the rest of the frame their renders,
+      // so errors are reported like `Component#render` reports rendering errors.
+      try {
+        latest.fn();
+      } catch (e) {
+        console.error("scheduled render error.", e);
+      }
+    }
+
+    // Put back anything we didn't have time for, ahead of tasks that were
+    // scheduled during this flush.
+    if (i < tasks.length) {
+      pending = new Map([...tasks.slice(i), ...pending.entries()]);
+    }
+  } finally {
+    flushing = false;
+  }
+
+  if (pending.size > 0) {
+    frameRequest = requestFrame(() => flush(FRAME_BUDGET));
+  }
+};
+
+/**
+ * Schedule a task to run before the next frame, deduplicated by its owner.
+ *
+ * @param {*} owner
+ * @param {*} priority
+ * @param {*} fn
+ */
+export const schedule = (owner, priority, fn) => {
+  const existing = pending.get(owner);
+
+  pending.set(owner, {
+    // Rescheduling never lowers the priority of an already pending task.
+    priority: existing && existing.priority < priority ? existing.priority : priority,
+    fn,
+  });
+
+  if (frameRequest === null && !flushing) {
+    frameRequest = requestFrame(() => flush(FRAME_BUDGET));
+  }
+};
+
+/**
+ * Cancel a pending task for the given owner, if there is one.
+ *
+ * @param {*} owner
+ */
+export const cancel = (owner) => {
+  pending.delete(owner);
+};
+
+/**
+ * Returns true while scheduled tasks are being flushed; otherwise, false.
+ *
+ * @returns Boolean.
+ */
+export const isFlushing = () => flushing;
+
+/**
+ * Synchronously flush every pending task, regardless of the frame budget.
+ * Useful before measuring the DOM, or in tests.
+ */
+export const flushRenders = () => {
+  if (frameRequest !== null) {
+    cancelFrame(frameRequest);
+    frameRequest = null;
+  }
+
+  while (pending.size > 0) {
+    flush(Infinity);
+
+    if (frameRequest !== null) {
+      cancelFrame(frameRequest);
+      frameRequest = null;
+    }
+  }
+};
@@ -0,0 +1,177 @@
+import { attributeValue, isObject } from "./common.js";
+import { rulesForClassName } from "./styled.js";
+
+// Elements that never have children or a closing tag.
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Elements whose contents are raw text, and must not be escaped.
+const RAW_TEXT_TAGS = new Set(["script", "style"]);
+
+// A few attributes are only ever set as IDL properties by the renderer, and
+// have a different name in HTML.
+const PROPERTY_NAMES = {
+  className: "class",
+  htmlFor: "for",
+};
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+};
+
+const escapeText = (str) => String(str).replace(/[&<>]/g, (c) => ESCAPES[c]);
+
+const escapeAttr = (str) => String(str).replace(/[&"]/g, (c) => ESCAPES[c]);
+
+// The reverse of `kebabToCamel` in `vdom.js`, for turning style dictionary keys back
+// into CSS property names. Custom properties like `--accent` are left alone.
+const camelToKebab = (camelStr) =>
+  camelStr.startsWith("--") ? camelStr : camelStr.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+
+// Serialize a style dictionary into the value of a `style` attribute. Like the
+// renderer, we skip empty values, which would clear the property.
+const serializeStyle = (style) => {
+  let str = "";
+
+  for (const styleKey of Object.keys(style)) {
+    const val = style[styleKey];
+
+    if (val !== undefined && val !== null && val !== "") {
+      str += camelToKebab(styleKey) + ":" + val + ";";
+    }
+  }
+
+  return str;
+};
+
+// Serialize a literal DOM Node that was embedded in VDOM. Component stubs are
+// followed back to their component's VDOM; real Nodes (when rendering to a string
+// in a browser) are already up to date, so we take their HTML as-is.
+const serializeNode = (node, classNames) => {
+  if (node.component !== undefined) {
+    return serialize(node.component.vdom, classNames);
+  }
+
+  if (node.nodeType === 1) {
+    for (const el of [node, ...node.querySelectorAll("[class]")]) {
+      for (const className of el.classList) {
+        classNames.add(className);
+      }
+    }
+
+    return node.outerHTML;
+  }
+
+  return node.nodeType === 3 ? escapeText(node.data) : "<!---->";
+};
+
+// Serialize a VDOM tree into an HTML string, the same way `render` would build it
+// in the DOM. Every class name we come across is added to `classNames`, so we can
+// collect the styles they need afterwards.
+const serialize = (vdom, classNames) => {
+  // Null VDOM renders as an (empty) comment node.
+  if (vdom === null || vdom === undefined) {
+    return "<!---->";
+  }
+
+  if (typeof vdom === "string" || typeof vdom === "number") {
+    return escapeText(vdom);
+  }
+
+  if (vdom.appendChild !== undefined) {
+    return serializeNode(vdom, classNames);
+  }
+
+  const tag = vdom.tag;
+  const attrs = vdom.attrs || {};
+  let html = "<" + tag;
+  let content = null;
+
+  for (const attrName of Object.keys(attrs)) {
+    const val = attrs[attrName];
+    const name = PROPERTY_NAMES[attrName] || attrName;
+
+    // Keys and event handlers are never rendered to HTML, and neither are
+    // attributes that were toggled off (see `attributeValue`).
+    if (attrName === "key" || typeof val === "function" || attributeValue(name, val) === null) {
+      continue;
+    }
+
+    if (attrName === "innerHTML") {
+      content = String(val);
+    } else if (attrName === "textContent" || (attrName === "value" && tag === "textarea")) {
+      content = escapeText(val);
+    } else if (name === "class") {
+      const classList = Array.isArray(val) ? val : String(val).split(" ");
+
+      for (const className of classList) {
+        classNames.add(className);
+      }
+
+      html += ' class="' + escapeAttr(classList.join(" ")) + '"';
+    } else if (attrName === "style" && isObject(val)) {
+      html += ' style="' + escapeAttr(serializeStyle(val)) + '"';
+    } else if (val === true && attributeValue(name, val) === "") {
+      html += " " + name;
+    } else {
+      html += " " + name + '="' + escapeAttr(attributeValue(name, val)) + '"';
+    }
+  }
+
+  html += ">";
+
+  if (VOID_TAGS.has(tag)) {
+    return html;
+  }
+
+  if (content === null) {
+    content = "";
+
+    for (const child of vdom.children || []) {
+      content += RAW_TEXT_TAGS.has(tag) && typeof child === "string" ? child : serialize(child, classNames);
+    }
+  }
+
+  return html + content + "</" + tag + ">";
+};
+
+/**
+ * Render a component to an HTML string, for pre-rendering pages or testing
+ * components outside of the browser. Child components embedded in the
+ * component's VDOM are rendered too, and if any of the rendered elements were
+ * styled with `Styled()`, their CSS is included in a leading `<style data-arlo>`.
+ *
+ * @param {*} component
+ * @returns HTML string.
+ */
+export const renderToString = (component) => {
+  const classNames = new Set();
+  const html = serialize(component.vdom, classNames);
+
+  let css = "";
+  for (const className of classNames) {
+    const rules = rulesForClassName(className);
+
+    if (rules !== undefined) {
+      css += rules.join("");
+    }
+  }
+
+  return css !== "" ? "<style data-arlo>" + css + "</style>" + html : html;
+};
@@ -1,4 +1,109 @@
+import { isObject } from "./common.js";
 import { Evented } from "./evented.js";
+import { Record } from "./record.js";
+
+// Compare two comparator keys, the same way for every sorted collection in Arlo.
+const compareKeys = (a, b) => {
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  } else {
+    return 0;
+  }
+};
+
+// `SortedRecords` is an array of records kept sorted by a key function, with
+// cached keys. Inserting and deleting is a binary search and a splice, so keeping
+// a large collection sorted never requires re-sorting the whole collection.
+class SortedRecords {
+  constructor(keyFn, records = []) {
+    this.keyFn = keyFn;
+    this.keys = new Map();
+
+    // Sort the initial records all at once. `Array#sort` is stable, so records
+    // with equal keys stay in the order they were given in.
+    this.items = records
+      .map((record) => [keyFn(record), record])
+      .sort((a, b) => compareKeys(a[0], b[0]))
+      .map(([key, record]) => {
+        this.keys.set(record, key);
+        return record;
+      });
+  }
+
+  has(record) {
+    return this.keys.has(record);
+  }
+
+  // Binary search for the first index whose key is greater than `key` (if `after`)
+  // or not less than `key` (otherwise).
+  search(key, after) {
+    let lo = 0;
+    let hi = this.items.length;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const cmp = compareKeys(this.keys.get(this.items[mid]), key);
+
+      if (cmp < 0 || (after && cmp === 0)) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  }
+
+  // Insert a record after any records with an equal key.
+  insert(record) {
+    const key = this.keyFn(record);
+    this.items.splice(this.search(key, true), 0, record);
+    this.keys.set(record, key);
+  }
+
+  delete(record) {
+    if (!this.keys.has(record)) {
+      return false;
+    }
+
+    // Records with equal keys are adjacent, so we only need to scan those.
+    const key = this.keys.get(record);
+    for (let i = this.search(key, false), len = this.items.length; i < len; i++) {
+      if (this.items[i] === record) {
+        this.items.splice(i, 1);
+        break;
+      }
+    }
+
+    this.keys.delete(record);
+    return true;
+  }
+
+  // Move a record to its new position if its key changed. Returns whether it moved.
+  update(record) {
+    if (this.keys.has(record) && compareKeys(this.keyFn(record), this.keys.get(record)) !== 0) {
+      this.delete(record);
+      this.insert(record);
+
+      return true;
+    }
+
+    return false;
+  }
+}
+
+// Turn the argument to `Store#where()` into a predicate function. Dictionaries
+// are shorthand for matching every given field exactly, like `{ completed: false }`.
+const toPredicate = (filter) => {
+  if (typeof filter === "function") {
+    return filter;
+  }
+
+  const fields = Object.keys(filter);
+  return (record) => fields.every((field) => record.get(field) === filter[field]);
+};
 
 /**
  * A list of Records, represents a collection or a table.
@@ -7,6 +112,19 @@ export class Store extends Evented {
   constructor(records = []) {
     super();
 
+    // Lookup of records by ID, and secondary indexes by field.
+    // Field indexes map each field to `{ values, buckets }`, where `values` maps
+    // each record to its indexed value, and `buckets` maps values to sets of records.
+    this.byId = new Map();
+    this.fieldIndexes = new Map();
+
+    // Handlers we've attached to member records, so we can keep indexes and
+    // sort order up to date, and re-emit when a record changes.
+    this.recordHandlers = new Map();
+
+    // Our records sorted by comparator, built lazily the first time we're summarized.
+    this.sorted = null;
+
     // Reset the store's contents with the given records
     this.reset(records);
   }
@@ -20,6 +138,8 @@ export class Store extends Evented {
 
   /**
    * Getter method for comparators; always returns null for comparisons.
+   * Records are only re-sorted when they change, so a comparator that depends
+   * on anything else needs `#resort()` to be called when that changes.
    */
   get comparator() {
     return null;
@@ -32,17 +152,37 @@ export class Store extends Evented {
   }
 
   // Add a given record to this store, also called by `#create()`.
+  // Like all Store events, handlers are passed a change set of the form
+  // `{ added: [...records], removed: [...records], updated: [...records] }`
+  // as their second argument.
   add(record) {
-    this.records.add(record);
-    this.emitEvent();
+    if (!this.records.has(record)) {
+      this.records.add(record);
+      this.track(record);
+
+      if (this.sorted !== null) {
+        this.sorted.insert(record);
+      }
+
+      // Adding a record that's already here changes nothing, so there's nothing
+      // to tell handlers (or for an `UndoHistory` to undo).
+      this.emitEvent({ added: [record], removed: [], updated: [] });
+    }
 
     return record;
   }
 
   // Remove a given record from the store.
   remove(record) {
-    this.records.delete(record);
-    this.emitEvent();
+    if (this.records.delete(record)) {
+      this.untrack(record);
+
+      if (this.sorted !== null) {
+        this.sorted.delete(record);
+      }
+
+      this.emitEvent({ added: [], removed: [record], updated: [] });
+    }
 
     return record;
   }
@@ -56,40 +196,197 @@ export class Store extends Evented {
   // Try to find a record with the given ID in the store,
   // and return it. Returns null if not found.
   find(id) {
-    for (const record of this.records) {
-      if (record.id === id) {
-        return record;
+    const record = this.byId.get(id);
+    return record === undefined ? null : record;
+  }
+
+  // Start maintaining an index of records by the value of a given field, which
+  // `#findBy()` and dictionary filters in `#where()` use to look up records quickly.
+  addIndex(field) {
+    if (!this.fieldIndexes.has(field)) {
+      this.fieldIndexes.set(field, { values: new Map(), buckets: new Map() });
+
+      for (const record of this.records) {
+        this.indexField(field, record);
       }
     }
+  }
 
-    return null;
+  // Return all records whose `field` is exactly `value`, in no particular order.
+  findBy(field, value) {
+    const index = this.fieldIndexes.get(field);
+
+    if (index === undefined) {
+      return [...this.records].filter((record) => record.get(field) === value);
+    }
+
+    const bucket = index.buckets.get(value);
+    return bucket === undefined ? [] : [...bucket];
+  }
+
+  // Return a live view of the records matching a filter, which is either a
+  // predicate function or a dictionary of field values to match. The view is an
+  // Evented that stays up to date as the store changes, sorted by the store's comparator.
+  where(filter) {
+    return this.query({ where: filter });
+  }
+
+  // Like `#where()`, but also takes a `comparator` to sort the view by instead
+  // of the store's comparator. `where` may be omitted to view every record.
+  query({ where = () => true, comparator = this.comparator } = {}) {
+    let candidates = this.records;
+
+    // If we're filtering by indexed fields, start with the smallest bucket
+    // rather than scanning the whole store.
+    if (isObject(where)) {
+      for (const field of Object.keys(where)) {
+        if (this.fieldIndexes.has(field)) {
+          const bucket = this.findBy(field, where[field]);
+
+          if (bucket.length < candidates.size || candidates === this.records) {
+            candidates = new Set(bucket);
+          }
+        }
+      }
+    }
+
+    return new StoreView(this, toPredicate(where), comparator, [...candidates]);
+  }
+
+  // Subscribe to a member record, and add it to our indexes.
+  track(record) {
+    if (record.id !== null && !this.byId.has(record.id)) {
+      this.byId.set(record.id, record);
+    }
+
+    for (const field of this.fieldIndexes.keys()) {
+      this.indexField(field, record);
+    }
+
+    // Records call their handlers as soon as they're subscribed to, which
+    // isn't a change, so we skip that first call.
+    let subscribed = false;
+    const handler = (_summary, changes) => {
+      if (subscribed) {
+        this.recordChanged(record, changes);
+      }
+    };
+
+    this.recordHandlers.set(record, handler);
+    record.addHandler(handler);
+    subscribed = true;
+  }
+
+  // Unsubscribe from a record that's no longer in the store, and unindex it.
+  untrack(record) {
+    record.removeHandler(this.recordHandlers.get(record));
+    this.recordHandlers.delete(record);
+
+    if (record.id !== null && this.byId.get(record.id) === record) {
+      this.byId.delete(record.id);
+
+      // If another record shares this ID, it can now be found by it instead.
+      for (const other of this.records) {
+        if (other.id === record.id) {
+          this.byId.set(other.id, other);
+          break;
+        }
+      }
+    }
+
+    for (const field of this.fieldIndexes.keys()) {
+      this.unindexField(field, record);
+    }
+  }
+
+  indexField(field, record) {
+    const { values, buckets } = this.fieldIndexes.get(field);
+    const value = record.get(field);
+
+    if (!buckets.has(value)) {
+      buckets.set(value, new Set());
+    }
+
+    buckets.get(value).add(record);
+    values.set(record, value);
+  }
+
+  unindexField(field, record) {
+    const { values, buckets } = this.fieldIndexes.get(field);
+    const bucket = buckets.get(values.get(record));
+
+    if (bucket !== undefined) {
+      bucket.delete(record);
+
+      if (bucket.size === 0) {
+        buckets.delete(values.get(record));
+      }
+    }
+
+    values.delete(record);
+  }
+
+  // Called when a member record emits a change. `changes` is the record's change
+  // set, if it has one, so we only need to reindex the fields that changed.
+  // We then re-emit, so anything bound to the store (like a sorted or filtered `List`)
+  // hears about it. The record's own change set is passed along as `recordChanges`.
+  recordChanged(record, changes) {
+    for (const field of this.fieldIndexes.keys()) {
+      if (changes === undefined || field in changes) {
+        this.unindexField(field, record);
+        this.indexField(field, record);
+      }
+    }
+
+    if (this.sorted !== null) {
+      this.sorted.update(record);
+    }
+
+    this.emitEvent({ added: [], removed: [], updated: [record], recordChanges: changes });
   }
 
   reset(records) {
-    // Internally, we represent the store as an unordered set.
-    // we only order by comparator when we summarize. This prevents
-    // us from having to perform sorting checks on every insert/update,
-    // and is efficient as long as we don't re-render excessively.
+    // Internally, we represent the store as an unordered set, and keep
+    // a sorted copy of it, built lazily the first time we're summarized.
+    // After that, the sorted copy is maintained incrementally as records are
+    // added, removed and updated, so we never have to re-sort the whole store.
+    const previous = this.records || new Set();
     this.records = new Set(records);
-    this.emitEvent();
+    this.sorted = null;
+
+    const added = [...this.records].filter((record) => !previous.has(record));
+    const removed = [...previous].filter((record) => !this.records.has(record));
+
+    for (const record of removed) {
+      this.untrack(record);
+    }
+
+    for (const record of added) {
+      this.track(record);
+    }
+
+    this.emitEvent({ added, removed, updated: [] });
+  }
+
+  // If the comparator depends on something other than the records' own data
+  // (like a sort direction toggled by the user), call `#resort()` after it changes.
+  // Views of the store are re-sorted too, since their comparators may depend on it as well.
+  resort() {
+    this.sorted = null;
+    this.emitEvent({ added: [], removed: [], updated: [], resorted: true });
   }
 
   summarize() {
-    // The summary of a store is defined functionally. We just sort
-    // the records in our store by the comparator (but we use a list
-    // of pairs of cached comparators and records to be fast.
-    return [...this.records]
-      .map((record) => [this.comparator ? this.comparator(record) : null, record])
-      .sort((a, b) => {
-        if (a[0] < b[0]) {
-          return -1;
-        } else if (a[0] > b[0]) {
-          return 1;
-        } else {
-          return 0;
-        }
-      })
-      .map((o) => o[1]);
+    // The summary of a store is defined functionally. We just list
+    // the records in our store sorted by the comparator.
+    if (this.sorted === null) {
+      this.sorted = new SortedRecords(
+        (record) => (this.comparator ? this.comparator(record) : null),
+        [...this.records]
+      );
+    }
+
+    return this.sorted.items.slice();
   }
 
   // To serialize a store, we serialize each record and put them
@@ -97,6 +394,100 @@ export class Store extends Evented {
   serialize() {
     return this.summarize().map((record) => record.serialize());
   }
+
+  // The inverse of `#serialize()`: reset the store with records rebuilt from
+  // a list of serialized records, through the store's `recordClass`.
+  deserialize(serialized) {
+    this.reset(
+      serialized.map((serializedRecord) => {
+        const { id, ...data } = serializedRecord;
+        return new this.recordClass(id === undefined ? null : id, data);
+      })
+    );
+  }
+}
+
+/**
+ * A live, filtered and sorted view of a Store, created with `Store#where()`
+ * or `Store#query()`. Components can bind to it like a Store. It only emits
+ * when the set or order of the records in it changes.
+ */
+export class StoreView extends Evented {
+  constructor(store, predicate, comparator, candidates) {
+    super();
+
+    this.store = store;
+    this.predicate = predicate;
+    this.sorted = new SortedRecords(
+      (record) => (comparator ? comparator(record) : null),
+      candidates.filter((record) => predicate(record))
+    );
+
+    this._cb = (_summary, changes) => this.storeChanged(changes);
+    store.addHandler(this._cb);
+  }
+
+  // Apply a Store's change set to the view.
+  storeChanged(changes) {
+    // Stores call handlers as soon as they're subscribed to, without a change set.
+    if (changes === undefined) {
+      return;
+    }
+
+    let changed = false;
+
+    // The store was re-sorted, so our comparator's keys may have changed without
+    // any record changing.
+    if (changes.resorted) {
+      const previous = this.sorted.items;
+      this.sorted = new SortedRecords(this.sorted.keyFn, previous);
+      changed = this.sorted.items.some((record, i) => record !== previous[i]);
+    }
+
+    for (const record of changes.removed) {
+      changed = this.sorted.delete(record) || changed;
+    }
+
+    for (const record of changes.added) {
+      if (!this.sorted.has(record) && this.predicate(record)) {
+        this.sorted.insert(record);
+        changed = true;
+      }
+    }
+
+    // An updated record may move into or out of the view, or change its position.
+    for (const record of changes.updated) {
+      const matches = this.predicate(record);
+
+      if (this.sorted.has(record)) {
+        changed = (matches ? this.sorted.update(record) : this.sorted.delete(record)) || changed;
+      } else if (matches) {
+        this.sorted.insert(record);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.emitEvent();
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.sorted.items.values();
+  }
+
+  get size() {
+    return this.sorted.items.length;
+  }
+
+  summarize() {
+    return this.sorted.items.slice();
+  }
+
+  // Stop following the store.
+  remove() {
+    this.store.removeHandler(this._cb);
+  }
 }
 
 // Higher-order component to create a Store for a given record class.
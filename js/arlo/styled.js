@@ -1,13 +1,23 @@
-import { isObject, normalizeArray } from "./common.js";
+import { hasDOM, isObject, normalizeArray } from "./common.js";
 import { Component } from "./component.js";
 
-// We keep track of unique class names already injected into the
-// page's stylesheet, so we don't do redundant style reconciliation.
-const injectedClassNames = new Set();
+// We keep track of the CSS rules generated for each unique class name, so we
+// don't do redundant style reconciliation. `renderToString()` also uses these to
+// collect the styles for a rendered component tree. Rules are forgotten once no
+// root (see below) uses their class name anymore.
+const injectedRules = new Map();
 
-// Global pointer to the stylesheet on the page that Arlo uses to insert
-// new CSS rules. It's set the first time a styled component renders.
-let styledComponentSheet;
+// **Style roots.** Styled components insert their rules into a stylesheet for
+// their `#styleRoot`: the document by default, or a `ShadowRoot`, since styles
+// in the document don't apply inside shadow trees. For each root, we count how
+// many components use each class name, so rules no component uses anymore can be
+// deleted. Outside of the browser, there's no DOM, so a stand-in root with no
+// stylesheet keeps count.
+const rootStyles = new WeakMap();
+const SERVER_ROOT = {};
+
+// The number of roots each class name's rules are in.
+const rootCounts = new Map();
 
 // A weak (garbage-collected keys) cache for mapping styles objects to hashes
 // class names. If we use the `css` template tag or cache the styles object
@@ -40,6 +50,51 @@ const generateUniqueClassName = (stylesObject) => {
 // We have to construct lots of a{b} syntax in CSS, so here's a shorthand.
 const brace = (a, b) => a + "{" + b + "}";
 
+// At-rules whose blocks hold rules for the same elements as the block they're nested
+// in, applied conditionally or in a cascade layer, like `@media (...) { color: red }`.
+const GROUPING_AT_RULE_RE = /^@(media|supports|container|layer)\b/;
+
+// At-rules whose blocks hold rules of their own, like `from` and `to` in `@keyframes`.
+const KEYFRAMES_AT_RULE_RE = /^@(-\w+-)?keyframes\b/;
+
+// Split a selector list on its commas, except for commas inside parentheses,
+// like in `:is(h1, h2) &`.
+const splitSelectors = (selectors) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < selectors.length; i++) {
+    const c = selectors[i];
+
+    if (c === "(") {
+      depth++;
+    } else if (c === ")") {
+      depth--;
+    } else if (c === "," && depth === 0) {
+      parts.push(selectors.substring(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(selectors.substring(start));
+
+  return parts.map((part) => part.trim());
+};
+
+// The declarations in a block of CSS descriptors, like `@font-face` or `@property`.
+// Nested blocks, like the margin boxes in `@page`, are blocks of declarations too.
+const declarationsFromStylesObject = (stylesObject) => {
+  let declarations = "";
+
+  for (const prop of Object.keys(stylesObject)) {
+    const val = stylesObject[prop];
+    declarations += isObject(val) ? brace(prop, declarationsFromStylesObject(val)) : prop + ":" + val + ";";
+  }
+
+  return declarations;
+};
+
 // The meat of `Styled()`. This function maps an ergonomic, dictionary-based
 // set of CSS declarations to an array of CSS rules that can be inserted onto
 // the page stylesheet, and recursively resolves nested CSS, handles keyframes
@@ -54,17 +109,22 @@ const rulesFromStylesObject = (selector, stylesObject) => {
     // CSS declarations that start with '@' are globally namespaced
     // (like @keyframes and @media), so we need to treat them differently.
     if (prop[0] === "@") {
-      if (prop.startsWith("@media")) {
+      if (!isObject(val)) {
+        // At-rule statements without a block, like `@layer base, components;`.
+        rules.push(prop + (val === "" ? "" : " " + val) + ";");
+      } else if (GROUPING_AT_RULE_RE.test(prop)) {
+        // These may be nested inside nested selectors, or each other, and apply
+        // to the selector they're nested in.
         rules.push(brace(prop, rulesFromStylesObject(selector, val).join("")));
-      } else {
-        // @keyframes or @font-face
+      } else if (KEYFRAMES_AT_RULE_RE.test(prop)) {
         rules.push(brace(prop, rulesFromStylesObject("", val).join("")));
+      } else {
+        // @font-face, @property, @page and other blocks of descriptors
+        rules.push(brace(prop, declarationsFromStylesObject(val)));
       }
     } else {
       if (typeof val === "object") {
-        const commaSeparatedProps = prop.split(",");
-
-        for (const p of commaSeparatedProps) {
+        for (const p of splitSelectors(prop)) {
           // SCSS-like syntax means we use '&' to nest declarations about
           // the parent selector.
           if (p.includes("&")) {
@@ -90,60 +150,358 @@ const rulesFromStylesObject = (selector, stylesObject) => {
   return rules;
 };
 
-// Function called once to initialize a stylesheet for Arlo
-// to use on every subsequent style render.
-const initSheet = () => {
-  const styleElement = document.createElement("style");
-  styleElement.setAttribute("data-arlo", "");
-  document.head.appendChild(styleElement);
-  styledComponentSheet = styleElement.sheet;
+// Create the stylesheet Arlo inserts rules into for a root. The document gets a
+// `<style data-arlo>` element, and shadow roots adopt a constructed stylesheet,
+// which works even before their host is attached to the document.
+const createSheet = (root) => {
+  if (root === document) {
+    const styleElement = document.createElement("style");
+    styleElement.setAttribute("data-arlo", "");
+    document.head.appendChild(styleElement);
+
+    return styleElement.sheet;
+  }
+
+  const sheet = new CSSStyleSheet();
+  root.adoptedStyleSheets = root.adoptedStyleSheets.concat(sheet);
+
+  return sheet;
 };
 
-// The preprocessor on `Styled()` components call this to
-// make sure a given set of CSS rules for a component is inserted
-// into the page stylesheet, but only once for a unique set of rules.
-// We disambiguate by the class name, which is a hash of the CSS rules.
-const injectStylesOnce = (stylesObject) => {
-  const className = generateUniqueClassName(stylesObject);
-  let sheetLength = 0;
+// Returns the styles state for a root: its stylesheet, created the first time it's
+// needed, and for each class name in it, how many components use it, and the
+// `CSSRule`s inserted for it.
+const stylesForRoot = (root) => {
+  const key = root === null ? SERVER_ROOT : root;
+
+  if (!rootStyles.has(key)) {
+    rootStyles.set(key, { root: root, sheet: null, classes: new Map() });
+  }
+
+  return rootStyles.get(key);
+};
+
+// Count one more use of a class name's rules in a root, inserting the rules into
+// the root's stylesheet if they aren't there already.
+const acquireStyles = (root, className) => {
+  const styles = stylesForRoot(root);
+  let entry = styles.classes.get(className);
+
+  if (entry === undefined) {
+    entry = { count: 0, cssRules: [] };
+
+    if (root !== null) {
+      if (styles.sheet === null) {
+        styles.sheet = createSheet(root);
+      }
+
+      let sheetLength = 0;
+      for (const rule of injectedRules.get(className)) {
+        // Browsers reject rules they don't support, like `@container` in older
+        // ones. We skip those, rather than fail to render the component.
+        try {
+          const index = styles.sheet.insertRule(rule, sheetLength);
+          entry.cssRules.push(styles.sheet.cssRules[index]);
+          sheetLength++;
+        } catch (e) {
+          console.warn("unsupported CSS rule skipped.", rule, e);
+        }
+      }
+    }
+
+    styles.classes.set(className, entry);
+    rootCounts.set(className, (rootCounts.get(className) || 0) + 1);
+  }
+
+  entry.count++;
+};
+
+// Roots with class names no component uses anymore, to be cleaned up by `collectStyles`.
+const unusedStyles = new Set();
+let collectionTimeout = null;
+
+// Count one less use of a class name's rules in a root. When nothing uses them
+// anymore, we don't delete them right away, because a removed component's node
+// is often still on the page until its parent renders again, and the rules may
+// be used again by then, like when a list item is replaced by a new one.
+const releaseStyles = (root, className) => {
+  const styles = stylesForRoot(root);
+  const entry = styles.classes.get(className);
+
+  if (entry !== undefined && --entry.count === 0) {
+    unusedStyles.add(styles);
+
+    if (collectionTimeout === null) {
+      collectionTimeout = setTimeout(collectStyles, 0);
+    }
+  }
+};
+
+// Delete the rules for every class name that's still unused.
+const collectStyles = () => {
+  collectionTimeout = null;
+
+  for (const styles of unusedStyles) {
+    for (const [className, entry] of styles.classes) {
+      if (entry.count > 0) {
+        continue;
+      }
+
+      // Other rules may have been inserted or deleted since, so we look up
+      // each rule's current index.
+      for (const cssRule of entry.cssRules) {
+        const index = Array.prototype.indexOf.call(styles.sheet.cssRules, cssRule);
+
+        if (index !== -1) {
+          styles.sheet.deleteRule(index);
+        }
+      }
+
+      styles.classes.delete(className);
+
+      const count = rootCounts.get(className) - 1;
+      if (count === 0) {
+        rootCounts.delete(className);
+        injectedRules.delete(className);
+      } else {
+        rootCounts.set(className, count);
+      }
+    }
+  }
+
+  unusedStyles.clear();
+};
+
+// **Dynamic values.** Styles that depend on data, like a color picked by the user,
+// would otherwise hash to a new class name, and add new rules to the stylesheet, for
+// every distinct value. Instead, values wrapped in `dynamic()` are replaced with
+// references to CSS custom properties, so the rules (and class name) stay the same,
+// and the values themselves are set as custom properties on the element.
+class DynamicValue {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// Dynamic values are numbered in the order they appear in the styles object. While
+// hashing, they're named with this placeholder prefix, which is replaced with the
+// class name once we know it, so that custom properties set by nested styled
+// components never shadow each other.
+const DYNAMIC_PLACEHOLDER = "--arlo-dynamic-";
 
-  if (!injectedClassNames.has(className)) {
-    if (!styledComponentSheet) {
-      initSheet();
+const dynamicProperty = (className, index) => "--" + className + "-" + index;
+
+// Replace every `dynamic()` value in a styles object with a reference to its custom
+// property, collecting the values in `values`. Returns the styles object itself if
+// there were no dynamic values in it, so styles cached with `css` stay cached.
+const extractDynamicValues = (stylesObject, values) => {
+  let result = stylesObject;
+
+  for (const prop of Object.keys(stylesObject)) {
+    const val = stylesObject[prop];
+    let replacement = val;
+
+    if (val instanceof DynamicValue) {
+      replacement = "var(" + DYNAMIC_PLACEHOLDER + values.length + ")";
+      values.push(val.value);
+    } else if (isObject(val)) {
+      replacement = extractDynamicValues(val, values);
     }
 
-    const rules = rulesFromStylesObject("." + className, stylesObject);
+    if (replacement !== val) {
+      if (result === stylesObject) {
+        result = Object.assign({}, stylesObject);
+      }
 
-    for (const rule of rules) {
-      styledComponentSheet.insertRule(rule, sheetLength++);
+      result[prop] = replacement;
     }
+  }
 
-    injectedClassNames.add(className);
+  return result;
+};
+
+/**
+ * Mark a value in a styled component's `#styles()` as dynamic, like
+ * `background: dynamic(data.color)`. Dynamic values are set as CSS custom
+ * properties on the component's element, so changing them doesn't generate
+ * new CSS rules.
+ *
+ * @param {*} value
+ * @returns Dynamic value for a styles object.
+ */
+export const dynamic = (value) => new DynamicValue(value);
+
+// The preprocessor on `Styled()` components call this to generate the CSS rules
+// for a styles object, but only once for a unique set of rules. We disambiguate
+// by the class name, which is a hash of the CSS rules. The rules are inserted
+// into a stylesheet by `acquireStyles`.
+const generateStyles = (stylesObject) => {
+  const className = generateUniqueClassName(stylesObject);
+
+  if (!injectedRules.has(className)) {
+    const rules = rulesFromStylesObject("." + className, stylesObject).map((rule) =>
+      rule.split(DYNAMIC_PLACEHOLDER).join("--" + className + "-")
+    );
+
+    injectedRules.set(className, rules);
   }
 
   return className;
 };
 
+/**
+ * Returns the CSS rules injected for a styled component's class name,
+ * or `undefined` if the class name wasn't generated by `Styled()`.
+ *
+ * @param {*} className
+ * @returns Array of CSS rule strings.
+ */
+export const rulesForClassName = (className) => injectedRules.get(className);
+
+// **Themes.** Every token of every theme, like `accent`, maps to a reference to its
+// CSS custom property here, like `var(--arlo-theme-accent)`. These are passed to
+// `#styles()`, and resolve to the values of whichever theme the element is inside.
+const themeTokens = {};
+
+const themeProperty = (tokenName) => "--arlo-theme-" + tokenName.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+
+// Custom property declarations for a dictionary of token values.
+const themeDeclarations = (tokens) => {
+  const declarations = {};
+
+  for (const tokenName of Object.keys(tokens)) {
+    declarations[themeProperty(tokenName)] = tokens[tokenName];
+  }
+
+  return declarations;
+};
+
+/**
+ * A theme is a set of design tokens, like colors and spacing, with values for a
+ * light and (optionally) a dark color scheme. Styled components use tokens through
+ * the second argument to `#styles()`, like `color: tokens.accent`, and get the
+ * values of the theme applied to the closest element around them, either with a
+ * `ThemeProvider` or by adding `theme.className` to any element.
+ *
+ * Like the page's stylesheet, themes follow the `color-mode` attribute: dark tokens
+ * apply under `color-mode="user"` when the user prefers a dark color scheme, and
+ * `color-mode="dark"` picks them explicitly. Anywhere else, light tokens apply.
+ */
+export class Theme {
+  constructor(tokens, darkTokens = {}) {
+    this.tokens = tokens;
+    this.darkTokens = darkTokens;
+
+    for (const tokenName of Object.keys(tokens).concat(Object.keys(darkTokens))) {
+      themeTokens[tokenName] = "var(" + themeProperty(tokenName) + ")";
+    }
+
+    this.stylesObject = null;
+  }
+
+  // The class name that applies the theme to an element and its descendants.
+  // Custom properties are inherited into shadow trees, so themes are only ever
+  // inserted into the document's stylesheet, and never deleted.
+  get className() {
+    if (this.stylesObject === null) {
+      const light = themeDeclarations(this.tokens);
+      const dark = Object.assign({}, light, themeDeclarations(this.darkTokens));
+
+      this.stylesObject = Object.assign({}, light, {
+        "@media (prefers-color-scheme: dark)": {
+          '&[color-mode="user"], [color-mode="user"] &': dark,
+        },
+        '&[color-mode="light"], [color-mode="light"] &': light,
+        '&[color-mode="dark"], [color-mode="dark"] &': dark,
+      });
+
+      acquireStyles(hasDOM ? document : null, generateStyles(this.stylesObject));
+    }
+
+    return generateStyles(this.stylesObject);
+  }
+}
+
 // Higher-order component to enable styling for any Component class.
 export const Styled = (Base) => {
   return class extends Base {
     // In a styled component, the `#styles()` method is passed in
-    // the same data as `#compose()`, and returns a JSON of nested CSS.
+    // the same data as `#compose()`, and the tokens of every `Theme`,
+    // and returns a JSON of nested CSS.
     styles() {
       return {};
     }
 
+    // The document or `ShadowRoot` to insert the component's styles into. Override
+    // this to render styled components inside a shadow tree, like a web component's.
+    get styleRoot() {
+      return hasDOM ? document : null;
+    }
+
     preprocess(vdom, data) {
+      vdom = super.preprocess(vdom, data);
+
       if (isObject(vdom)) {
+        const values = [];
+        const className = generateStyles(extractDynamicValues(this.styles(data, themeTokens), values));
+        const root = this.styleRoot;
+
+        // We hold on to the rules for our current class name, and let go of the
+        // ones we used before, if they've changed.
+        if (className !== this.styledClassName || root !== this.styledRoot) {
+          acquireStyles(root, className);
+
+          if (this.styledClassName !== undefined) {
+            releaseStyles(this.styledRoot, this.styledClassName);
+          }
+
+          this.styledClassName = className;
+          this.styledRoot = root;
+        }
+
         vdom.attrs = vdom.attrs || {};
         vdom.attrs.class = normalizeArray(vdom.attrs.class || []);
-        vdom.attrs.class.push(injectStylesOnce(this.styles(data)));
+        vdom.attrs.class.push(className);
+
+        if (values.length > 0) {
+          vdom.attrs.style = Object.assign({}, vdom.attrs.style);
+
+          for (let i = 0; i < values.length; i++) {
+            vdom.attrs.style[dynamicProperty(className, i)] = String(values[i]);
+          }
+        }
       }
 
       return vdom;
     }
+
+    remove() {
+      super.remove();
+
+      if (this.styledClassName !== undefined) {
+        releaseStyles(this.styledRoot, this.styledClassName);
+        this.styledClassName = undefined;
+      }
+    }
   };
 };
 
 // Provide a default, `StyledComponent` class.
 export const StyledComponent = Styled(Component);
+
+// Applies a theme to its children in a template, like
+// `<${ThemeProvider} theme=${theme} mode="dark">...</${ThemeProvider}>`.
+// The optional `mode` is a `color-mode`, to pick a color scheme explicitly.
+export class ThemeProvider extends Component {
+  compose() {
+    return {
+      tag: "div",
+      attrs: {
+        class: this.props.theme.className,
+        "color-mode": this.props.mode,
+        style: { display: "contents" },
+      },
+      children: this.props.children,
+    };
+  }
+}
@@ -1,14 +1,157 @@
 import { clipStringEnd, interpolate, isObject } from "./common.js";
 import { Reader } from "./reader.js";
 
-// This allows us to write HTML entities like '<' and '>' without breaking
-// the HTML parser.
-const decodeEntity = (entity) => {
-  return String.fromCodePoint(+/&#(\w+);/.exec(entity)[1]);
+// **HTML syntax.** The `vdom` template tag parses the parts of the HTML syntax that
+// matter in templates the way the HTML spec does, with a few exceptions: whitespace-only
+// text between elements is dropped outside of `<pre>`, and end tags are never implied,
+// so every non-void element must be closed explicitly.
+
+// Void elements can't have children, so they don't need a closing `/`.
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// The contents of raw text elements aren't parsed as HTML, so they may contain `<`.
+// Character references in escapable raw text elements are still decoded.
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(["textarea", "title"]);
+
+// Whitespace inside of these elements is significant, so we don't collapse it.
+const PREFORMATTED_ELEMENTS = new Set(["pre", "textarea"]);
+
+// HTML's whitespace characters. Unlike `\s`, these don't include non-breaking spaces.
+const WHITESPACE_RE = /[ \t\n\r\f]+/g;
+const HAS_WHITESPACE_RE = /[ \t\n\r\f]/;
+const isWhitespaceOnly = (str) => str.replace(WHITESPACE_RE, "") === "";
+
+// Named character references. This isn't every name in the spec, but it covers
+// the ones that come up in practice.
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  ensp: "\u2002",
+  emsp: "\u2003",
+  thinsp: "\u2009",
+  zwnj: "\u200c",
+  zwj: "\u200d",
+  shy: "\u00ad",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  deg: "°",
+  plusmn: "±",
+  times: "×",
+  divide: "÷",
+  minus: "−",
+  le: "≤",
+  ge: "≥",
+  ne: "≠",
+  infin: "∞",
+  frac12: "½",
+  frac14: "¼",
+  frac34: "¾",
+  sup2: "²",
+  sup3: "³",
+  micro: "µ",
+  middot: "·",
+  bull: "•",
+  hellip: "…",
+  prime: "′",
+  Prime: "″",
+  para: "¶",
+  sect: "§",
+  ndash: "–",
+  mdash: "—",
+  lsquo: "‘",
+  rsquo: "’",
+  sbquo: "‚",
+  ldquo: "“",
+  rdquo: "”",
+  bdquo: "„",
+  laquo: "«",
+  raquo: "»",
+  lsaquo: "‹",
+  rsaquo: "›",
+  iexcl: "¡",
+  iquest: "¿",
+  cent: "¢",
+  pound: "£",
+  yen: "¥",
+  euro: "€",
+  larr: "←",
+  uarr: "↑",
+  rarr: "→",
+  darr: "↓",
+  harr: "↔",
+  hearts: "♥",
+  check: "✓",
 };
 
-// For converting CSS property names to their JavaScript counterparts
+const ENTITY_RE = /&(?:#[xX]([0-9a-fA-F]+)|#([0-9]+)|([a-zA-Z][a-zA-Z0-9]*));/g;
+
+// This allows us to write HTML entities like `&lt;`, `&#60;` and `&#x3c;` without
+// breaking the HTML parser. Like browsers, we leave unknown references as they are,
+// and decode invalid code points to the replacement character.
+const decodeEntities = (str) => {
+  if (!str.includes("&")) {
+    return str;
+  }
+
+  return str.replace(ENTITY_RE, (entity, hex, decimal, name) => {
+    if (name !== undefined) {
+      return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+    }
+
+    const codePoint = hex !== undefined ? parseInt(hex, 16) : +decimal;
+
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "\ufffd";
+  });
+};
+
+// Describe a position in a template as a line and column, for error messages.
+// Dynamic parts are shown as `${…}`, so columns line up with the template's source
+// as long as the dynamic parts on that line are short.
+const describePosition = (content, index) => {
+  const lines = content.substring(0, index).split("\n");
+  const column = lines[lines.length - 1].replace(/vdom_tpl_obj_\[\d+\]/g, "${…}").length + 1;
+
+  return `line ${lines.length}, column ${column}`;
+};
+
+// Does a closing tag name match the name of the element it closes? Tag names are
+// case-insensitive, and an element with a dynamic tag name, like `<${tag}>`, can be
+// closed by any dynamic tag name, since each dynamic part gets its own placeholder.
+const tagsMatch = (openTag, closeTag) => {
+  if (openTag.includes("vdom_tpl_")) {
+    return closeTag.includes("vdom_tpl_");
+  }
+
+  return openTag.toLowerCase() === closeTag.toLowerCase();
+};
+
+// For converting CSS property names to their JavaScript counterparts. CSS custom
+// properties, like `--accent`, are case-sensitive and kept as they are.
 const kebabToCamel = (kebabStr) => {
+  if (kebabStr.startsWith("--")) {
+    return kebabStr;
+  }
+
   let result = "";
   for (let i = 0, len = kebabStr.length; i < len; i++) {
     result += kebabStr[i] === "-" ? kebabStr[++i].toUpperCase() : kebabStr[i];
@@ -21,13 +164,7 @@ const parseOpeningTagContents = (content) => {
   // If the opening tag is just the tag name (the most common case), take
   // a shortcut and run a simpler algorithm.
   content = content.trim();
-  if (content[0] === "!") {
-    // comment
-    return {
-      vdom: null,
-      selfClosing: true,
-    };
-  } else if (!content.includes(" ")) {
+  if (!HAS_WHITESPACE_RE.test(content)) {
     const selfClosing = content.endsWith("/");
 
     return {
@@ -51,8 +188,8 @@ const parseOpeningTagContents = (content) => {
   // Are we waiting to read an attribute value?
   let waitingForAttr = false;
 
-  // Are we in a quoted attribute value?
-  let inQuotes = false;
+  // The quote character of the quoted attribute value we're in, if any.
+  let quote = null;
 
   // Array of parsed tokens
   const tokens = [];
@@ -84,7 +221,7 @@ const parseOpeningTagContents = (content) => {
     switch (next) {
       // Equals sign denotes the start of an attribute value unless in quotes
       case "=":
-        if (inQuotes) {
+        if (quote !== null) {
           head += next;
         } else {
           commitToken();
@@ -93,11 +230,13 @@ const parseOpeningTagContents = (content) => {
         }
 
         break;
-      // Because we replaced all whitespace with spaces earlier, this catches
-      // all whitespaces. Whitespaces are only meaningful separates of values
-      // if we're not in quotes.
+      // Whitespaces are only meaningful separators of values if we're not in quotes.
       case " ":
-        if (inQuotes) {
+      case "\t":
+      case "\n":
+      case "\r":
+      case "\f":
+        if (quote !== null) {
           head += next;
         } else if (!waitingForAttr) {
           commitToken();
@@ -107,21 +246,24 @@ const parseOpeningTagContents = (content) => {
         break;
       // Allow backslash to escape characters if we're in quotes.
       case "\\":
-        if (inQuotes) {
+        if (quote !== null) {
           next = reader.next();
           head += next;
         }
 
         break;
-      // If we're in quotes, '"' escapes quotes. Otherwise, it opens
-      // a quoted section.
+      // Attribute values may be quoted with either '"' or "'". Inside a quoted
+      // value, the same quote character ends it, and the other is just a character.
       case '"':
-        if (inQuotes) {
-          inQuotes = false;
+      case "'":
+        if (quote === next) {
+          quote = null;
           commitToken(true);
           nextType = TYPE_KEY;
+        } else if (quote !== null) {
+          head += next;
         } else if (nextType === TYPE_VALUE) {
-          inQuotes = true;
+          quote = next;
         }
 
         break;
@@ -153,13 +295,21 @@ const parseOpeningTagContents = (content) => {
     curr = tokens.shift();
   };
 
+  // Commit a key without a value. It's either an attribute without a value (like
+  // `disabled`), or a spread of an object of attributes, like `...${attrs}`. We keep
+  // spreads in `attrs` under their own key, so they stay in order with the attributes
+  // around them, and `compileSpreadElement` merges them in at render time.
+  const commitKey = (key) => {
+    attrs[key] = key.startsWith("...") ? key.substring(3) : true;
+  };
+
   // Walk through the token list. If the token is a value token,
   // the previous token is its key. If the current token is a key,
   // the previous token is an attribute without value (like `disabled`).
   while (curr !== undefined) {
     if (curr.type === TYPE_VALUE) {
       const key = last.value;
-      let val = curr.value.trim();
+      let val = decodeEntities(curr.value.trim());
 
       // Commit a key-value pair of string attributes to the VDOM stub. This section
       // treats class lists and style dictionaries separately, and adds function
@@ -169,7 +319,7 @@ const parseOpeningTagContents = (content) => {
       } else {
         if (key === "class") {
           if (val !== "") {
-            attrs[key] = val.split(" ");
+            attrs[key] = val.split(WHITESPACE_RE);
           }
         } else if (key === "style") {
           if (val.endsWith(";")) {
@@ -179,6 +329,10 @@ const parseOpeningTagContents = (content) => {
           const rule = {};
 
           for (const pair of val.split(";")) {
+            if (isWhitespaceOnly(pair)) {
+              continue;
+            }
+
             const idx = pair.indexOf(":");
             const first = pair.substring(0, idx);
             const rest = pair.substring(idx + 1);
@@ -193,7 +347,7 @@ const parseOpeningTagContents = (content) => {
 
       step();
     } else if (last) {
-      attrs[last.value] = true;
+      commitKey(last.value);
     }
 
     step();
@@ -201,7 +355,7 @@ const parseOpeningTagContents = (content) => {
 
   // If the last value is a value-less attribute (like `disabled`), commit it.
   if (last && last.type === TYPE_KEY) {
-    attrs[last.value] = true;
+    commitKey(last.value);
   }
 
   return {
@@ -214,93 +368,165 @@ const parseOpeningTagContents = (content) => {
   };
 };
 
+// Read the contents of a tag, up to (but not including) the `>` that ends it. Unlike
+// `Reader#readUpTo()`, this skips over any `>` in quoted attribute values.
+const readTagContents = (reader, start) => {
+  let contents = "";
+  let quote = null;
+
+  for (let next = reader.next(); next !== undefined; next = reader.next()) {
+    if (quote === null) {
+      if (next === ">") {
+        reader.back();
+
+        return contents;
+      } else if ((next === '"' || next === "'") && contents.trimEnd().endsWith("=")) {
+        quote = next;
+      }
+    } else if (next === quote) {
+      quote = null;
+    } else if (next === "\\") {
+      // Keep escaped characters as they are, for `parseOpeningTagContents` to unescape.
+      contents += next;
+      next = reader.next();
+    }
+
+    contents += next;
+  }
+
+  throw new Error(`unterminated tag at ${describePosition(reader.content, start)}.`);
+};
+
+// Read the contents of a raw text element up to its closing tag, which we also consume.
+// Returns the element's children: a single string, or nothing if it's empty.
+const readRawText = (reader, tag, start) => {
+  const end = reader.content.toLowerCase().indexOf("</" + tag.toLowerCase(), reader.index);
+
+  if (end === -1) {
+    throw new Error(`<${tag}> at ${describePosition(reader.content, start)} is never closed.`);
+  }
+
+  let text = reader.content.substring(reader.index, end);
+  reader.index = end;
+  reader.readUntil(">");
+
+  if (ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag.toLowerCase())) {
+    text = decodeEntities(text);
+  }
+
+  return text === "" ? [] : [text];
+};
+
 // Function to parse an entire VDOM template tree (which we vaguely call JSX here).
-// This recursively calls itself on children elements.
-const parseTemplate = (reader) => {
+// This recursively calls itself on children elements. `parent` is the tag name and
+// position of the element whose children we're parsing, or null at the top level, and
+// `preformatted` is whether we're inside an element where whitespace is significant.
+const parseTemplate = (reader, parent = null, preformatted = false) => {
   const result = [];
 
-  // The current VDOM object being worked on. Sort of an 'element register'
-  let currentElement = null;
+  // The text node being read, if any.
+  let text = null;
 
-  // Are we reading a text node (and should ignore special characters)?
-  let inTextNode = false;
-
-  // Commit currently reading element to the result list, and reset the current element
+  // Commit the text node being read to the result list. Outside of preformatted
+  // elements, runs of whitespace are collapsed into a single space, and whitespace-only
+  // text nodes are dropped entirely. Entities are decoded last, so that a `&nbsp;` is
+  // never mistaken for collapsible whitespace.
   const commit = () => {
-    // If the text node we're about to commit is just whitespace, don't bother
-    if (inTextNode && currentElement.trim() === "") {
-      // pass
-    } else if (currentElement) {
-      result.push(currentElement);
+    if (text === null) {
+      return;
     }
 
-    currentElement = null;
-    inTextNode = false;
-  };
-
-  // Shortcut to handle/commit string tokens properly, which we do more than once below.
-  const handleString = (next) => {
-    if (inTextNode === false) {
-      commit();
-      inTextNode = true;
-      currentElement = "";
+    if (preformatted) {
+      result.push(decodeEntities(text));
+    } else if (!isWhitespaceOnly(text)) {
+      result.push(decodeEntities(text.replace(WHITESPACE_RE, " ")));
     }
 
-    currentElement += next;
+    text = null;
   };
 
   // Main parsing logic. This might be confusingly recursive. In essence, the parser
   // recursively calls itself with its `reader` if it has children to parse,
   // and trusts that the parser will return when it encounters the closing tag
-  // that marks the end of the list of children. So, the parser breaks the loop
-  // and returns if it encounters a closing tag. This cooperation between the function
-  // and the parent function that called it recursively makes this parser work.
+  // that marks the end of the list of children. So, the parser returns if it
+  // encounters a closing tag, after checking that it closes the right element.
   for (let next = reader.next(); next !== undefined; next = reader.next()) {
-    // if we see the start of a tag ...
-    if (next === "<") {
-      // ... first commit any previous reads, since we're starting a new node ...
-      commit();
+    const start = reader.index - 1;
+    const peek = next === "<" ? reader.content[reader.index] : undefined;
 
-      // ... it's an opening tag if the next character isn't `'/'`.
-      if (reader.next() !== "/") {
-        reader.back();
+    // Like in HTML, a `<` that isn't followed by a tag name, `/` or `!` is just text.
+    if (peek === undefined || !/[a-zA-Z/!]/.test(peek)) {
+      text = (text === null ? "" : text) + next;
+      continue;
+    }
 
-        // Read and parse the contents of the tag up to the end of
-        // the opening tag.
-        const result = parseOpeningTagContents(reader.readUpTo(">"));
-        reader.next(); // read the '>'
-        currentElement = result && result.vdom;
-
-        // If the current element is a full-fledged element (and not a comment
-        // or text node), let's try to parse the children by handing the reader
-        // to a recursively call of this function.
-        if (!result.selfClosing && currentElement !== null) {
-          currentElement.children = parseTemplate(reader);
-        }
+    // We're starting a new node, so first commit any text we've read.
+    commit();
 
-        // ... it's a closing tag otherwise ...
-      } else {
-        // ... so finish out reading the closing tag.
-        // A top-level closing tag means it's actually closing the parent tag, so
-        // we need to stop parsing and hand the parsing flow back to the parent
-        // call in this recursive function.
-        reader.readUntil(">");
+    if (peek === "!") {
+      // Comments and doctypes don't produce any VDOM.
+      reader.readUntil(reader.content.startsWith("<!--", start) ? "-->" : ">");
+    } else if (peek === "/") {
+      // A closing tag. End tags of void elements, like `</br>`, are ignored.
+      reader.next();
+      const tag = reader.readUpTo(">").trim();
+      reader.next();
 
-        break;
+      if (VOID_ELEMENTS.has(tag.toLowerCase())) {
+        continue;
+      }
+
+      if (parent === null) {
+        throw new Error(`unexpected closing tag </${tag}> at ${describePosition(reader.content, start)}.`);
+      }
+
+      if (!tagsMatch(parent.tag, tag)) {
+        throw new Error(
+          `mismatched closing tag </${tag}> at ${describePosition(reader.content, start)}, ` +
+            `expected </${parent.tag}> to close <${parent.tag}> at ${describePosition(reader.content, parent.start)}.`
+        );
       }
+
+      // A closing tag for our parent means we've read all its children, so
+      // we hand the parsing flow back to the parent call.
+      return result;
     } else {
-      // If an HTML entity is encoded (e.g. &#60; is '<'), decode it and handle it.
-      if (next === "&") {
-        handleString(decodeEntity(next + reader.readUntil(";")));
-      } else {
-        handleString(next);
+      // An opening tag. Read and parse the contents of the tag up to the end of it.
+      const { vdom, selfClosing } = parseOpeningTagContents(readTagContents(reader, start));
+      reader.next(); // read the '>'
+
+      const tag = vdom.tag.toLowerCase();
+
+      // If the element can have children, let's try to parse them by handing the
+      // reader to a recursive call of this function.
+      if (!selfClosing && !VOID_ELEMENTS.has(tag)) {
+        // A newline right after the start of a preformatted element is ignored.
+        if (PREFORMATTED_ELEMENTS.has(tag) && reader.content[reader.index] === "\n") {
+          reader.next();
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+          vdom.children = readRawText(reader, vdom.tag, start);
+        } else {
+          vdom.children = parseTemplate(
+            reader,
+            { tag: vdom.tag, start: start },
+            preformatted || PREFORMATTED_ELEMENTS.has(tag)
+          );
+        }
       }
+
+      result.push(vdom);
     }
   }
 
-  // Commit any last remaining tokens as-is
+  // Commit any last remaining text as-is
   commit();
 
+  if (parent !== null) {
+    throw new Error(`<${parent.tag}> at ${describePosition(reader.content, parent.start)} is never closed.`);
+  }
+
   return result;
 };
 
@@ -311,204 +537,259 @@ const parseTemplate = (reader) => {
 const VDOM_CACHE = new Map();
 
 // This HTML parsing algorithm works by replacing all the dynamic parts with a unique string,
-// parsing the string markup into a JSON tree, and caching that tree. On renders, we walk the tree
-// and replace any matching strings with their correct dynamic parts. This makes the algorithm
-// cache-friendly and relatively fast, despite doing a lot at runtime. `VDOM_PLACEHOLDER_RE` is
-// the regex we use to correlate string keys to their correct dynamic parts.
+// parsing the string markup into a JSON tree, and compiling that tree into a function
+// that builds a fresh copy of the tree with the dynamic parts filled in. The first time we see
+// a template, we find every placeholder string in the tree and note the index of the dynamic
+// part it stands for, so later renders only index into the array of dynamic parts, without
+// copying the tree through JSON or searching its strings for placeholders.
+// `VDOM_PLACEHOLDER_RE` is the regex we use to correlate string keys to their correct dynamic parts.
 const VDOM_PLACEHOLDER_RE = /vdom_tpl_obj_\[(\d+)\]/;
 
-// This is for a performance optimization, that when we're filling out template
-// strings, if a string in which we're searching for a placeholder is shorter than
-// placeholder strings, we just stop searching.
-const VDOM_PLACEHOLDER_MIN_LENGTH = 14;
+// Same as above, but for splitting strings around every placeholder in them. Because the
+// regex has a capture group, `String#split()` keeps the indices between the static parts.
+const VDOM_PLACEHOLDER_SPLIT_RE = /vdom_tpl_obj_\[(\d+)\]/g;
 
-// Does a given string have a placeholder for the template values?
-const hasPlaceholder = (str) => typeof str === "string" && str.includes("vdom_tpl_");
+// **Template compilation.** Each of these functions takes part of a parsed template and
+// returns a function that takes the dynamic parts of the template and builds that part
+// of the VDOM. Every object and array is built anew on each call, since the renderer
+// mutates the VDOM it's given.
 
-// **Utility functions for walking a JSON tree and filling in placeholders**
-// The functions here that take mutable values (arrays, objects) will mutate the
-// given value to be faster than creating new objects.
+// Split a string into its static parts and the indices of the dynamic parts between
+// them, which alternate starting with a (possibly empty) static part.
+const splitPlaceholders = (str) => {
+  const segments = str.split(VDOM_PLACEHOLDER_SPLIT_RE);
 
-// Given a string, replace placeholders with their correct dynamic parts and return
-// the result as an array, so if any dynamic values are objects or HTML nodes, they
-// are not cast to strings. Used to parse HTML children.
-const splitByPlaceholder = (str, dynamicParts) => {
-  if (hasPlaceholder(str)) {
-    const match = VDOM_PLACEHOLDER_RE.exec(str);
-    const parts = str.split(match[0]);
-    const number = match[1];
-    const processedBack = splitByPlaceholder(parts[1], dynamicParts);
+  for (let i = 1, len = segments.length; i < len; i += 2) {
+    segments[i] = +segments[i];
+  }
 
-    let result = [];
+  return segments;
+};
 
-    if (parts[0] !== "") {
-      result.push(parts[0]);
-    }
+// Compile a string. A string that's just a placeholder (give or take whitespace) compiles
+// to the dynamic part itself, so non-string values like event handlers and style
+// dictionaries keep their types. Otherwise, dynamic parts are concatenated into the string.
+const compileString = (str) => {
+  const segments = splitPlaceholders(str);
+  const len = segments.length;
 
-    if (Array.isArray(dynamicParts[number])) {
-      result = result.concat(dynamicParts[number]);
-    } else {
-      result.push(dynamicParts[number]);
-    }
+  if (len === 1) {
+    return () => str;
+  }
 
-    if (processedBack.length !== 0) {
-      result = result.concat(processedBack);
+  const match = VDOM_PLACEHOLDER_RE.exec(str);
+  if (str.trim() === match[0]) {
+    const index = +match[1];
+
+    return (dynamicParts) => dynamicParts[index];
+  }
+
+  return (dynamicParts) => {
+    let result = segments[0];
+
+    for (let i = 1; i < len; i += 2) {
+      result += dynamicParts[segments[i]] + segments[i + 1];
     }
 
     return result;
-  } else {
-    return str !== "" ? [str] : [];
-  }
+  };
 };
 
-// Given an array of child VDOM elements, flatten that list of children
-// into a flat array and parse any placeholders in it.
-const replaceChildrenToFlatArray = (children, dynamicParts) => {
-  const newChildren = [];
-
-  for (const childString of children) {
-    for (const child of splitByPlaceholder(childString, dynamicParts)) {
-      if (isObject(child)) {
-        replaceInObjectLiteral(child, dynamicParts);
+// Compile the children of a VDOM element into a function returning a flat array of
+// children. Dynamic parts in text are spliced in as children of their own, so objects
+// and HTML nodes aren't cast to strings, and arrays of children are flattened in place.
+const compileChildren = (children) => {
+  // Each part is either a static child, the index of a dynamic part, or a compiled element.
+  const STATIC = 0;
+  const DYNAMIC = 1;
+  const ELEMENT = 2;
+  const parts = [];
+
+  for (const child of children) {
+    if (typeof child === "string") {
+      const segments = splitPlaceholders(child);
+
+      for (let i = 0, len = segments.length; i < len; i++) {
+        if (i % 2 === 1) {
+          parts.push([DYNAMIC, segments[i]]);
+        } else if (segments[i] !== "") {
+          parts.push([STATIC, segments[i]]);
+        }
       }
-
-      newChildren.push(child);
+    } else if (isObject(child)) {
+      parts.push([ELEMENT, compileObject(child)]);
+    } else {
+      parts.push([STATIC, child]);
     }
   }
 
-  const first = newChildren[0];
-  const last = newChildren[newChildren.length - 1];
+  const len = parts.length;
 
-  if (typeof first === "string" && first.trim() === "") {
-    newChildren.shift();
-  }
+  return (dynamicParts) => {
+    const result = [];
 
-  if (typeof last === "string" && last.trim() === "") {
-    newChildren.pop();
-  }
+    for (let i = 0; i < len; i++) {
+      const part = parts[i];
+      const type = part[0];
 
-  return newChildren;
-};
+      if (type === STATIC) {
+        result.push(part[1]);
+      } else if (type === DYNAMIC) {
+        const value = dynamicParts[part[1]];
 
-// Given a string, replace any placeholder values and return a new string.
-const replaceInString = (str, dynamicParts) => {
-  // As an optimization, if the string is too short to contain placeholders,
-  // just return early.
-  if (str.length < VDOM_PLACEHOLDER_MIN_LENGTH) {
-    return str;
-  } else {
-    const match = VDOM_PLACEHOLDER_RE.exec(str);
+        if (Array.isArray(value)) {
+          for (let j = 0, valueLength = value.length; j < valueLength; j++) {
+            result.push(value[j]);
+          }
+        } else {
+          result.push(value);
+        }
+      } else {
+        result.push(part[1](dynamicParts));
+      }
+    }
 
-    if (match === null) {
-      return str;
-    } else if (str.trim() === match[0]) {
-      return dynamicParts[match[1]];
-    } else {
-      const parts = str.split(match[0]);
+    // Whitespace around the first and last children isn't meaningful, so we drop it.
+    const first = result[0];
+    const last = result[result.length - 1];
 
-      return parts[0] + dynamicParts[match[1]] + replaceInString(parts[1], dynamicParts);
+    if (typeof first === "string" && first.trim() === "") {
+      result.shift();
     }
-  }
+
+    if (typeof last === "string" && last.trim() === "") {
+      result.pop();
+    }
+
+    return result;
+  };
 };
 
-// Given an array literal, replace placeholders in it and its children, recursively.
-const replaceInArrayLiteral = (arr, dynamicParts) => {
-  for (let i = 0, len = arr.length; i < len; i++) {
-    const val = arr[i];
+// Compile any value in a parsed template: strings, arrays (like class lists and
+// event handler lists), objects (like style dictionaries and VDOM elements) or
+// constants (like valueless attributes).
+const compileValue = (val) => {
+  if (typeof val === "string") {
+    return compileString(val);
+  } else if (Array.isArray(val)) {
+    const builders = val.map(compileValue);
+    const len = builders.length;
+
+    return (dynamicParts) => {
+      const result = new Array(len);
+
+      for (let i = 0; i < len; i++) {
+        result[i] = builders[i](dynamicParts);
+      }
 
-    if (typeof val === "string") {
-      arr[i] = replaceInString(val, dynamicParts);
-    } else if (Array.isArray(val)) {
-      replaceInArrayLiteral(val, dynamicParts);
-    } else {
-      // it's an object otherwise
-      replaceInObjectLiteral(val, dynamicParts);
-    }
+      return result;
+    };
+  } else if (isObject(val)) {
+    return compileObject(val);
   }
+
+  return () => val;
 };
 
-// Given an object, replace placeholders in it and its values.
-const replaceInObjectLiteral = (obj, dynamicParts) => {
-  if (obj instanceof Node) {
+// Merge a spread object of attributes into a VDOM element. Like in the template, keys
+// starting with "on" are event handlers, which are added to any written in the template.
+const spreadAttributes = (element, spread) => {
+  if (!isObject(spread)) {
     return;
   }
 
-  for (const prop of Object.keys(obj)) {
-    const val = obj[prop];
-
-    if (typeof val === "string") {
-      obj[prop] = replaceInString(val, dynamicParts);
-    } else if (Array.isArray(val)) {
-      if (prop === "children") {
-        // We need to treat children of VDOM objects differently because
-        // they need to all be flat arrays, and sometimes for API convenience
-        // they're passed in as nested arrays.
-        obj.children = replaceChildrenToFlatArray(val, dynamicParts);
+  for (const key of Object.keys(spread)) {
+    if (key.startsWith("on")) {
+      const eventName = key.substring(2);
+      element.events[eventName] = (element.events[eventName] || []).concat(spread[key]);
+    } else {
+      element.attrs[key] = spread[key];
+    }
+  }
+};
+
+// Compile an element with attribute spreads, like `<input ...${attrs} />`. Attributes and
+// spreads are applied in the order they're written, so later ones override earlier ones.
+const compileSpreadElement = (element) => {
+  const attrs = element.attrs;
+  const attrKeys = Object.keys(attrs);
+  const attrBuilders = attrKeys.map((key) => compileValue(attrs[key]));
+  const len = attrKeys.length;
+  const build = compileObject(Object.assign({}, element, { attrs: {} }));
+
+  return (dynamicParts) => {
+    const result = build(dynamicParts);
+
+    for (let i = 0; i < len; i++) {
+      if (attrKeys[i].startsWith("...")) {
+        spreadAttributes(result, attrBuilders[i](dynamicParts));
       } else {
-        replaceInArrayLiteral(val, dynamicParts);
+        result.attrs[attrKeys[i]] = attrBuilders[i](dynamicParts);
       }
-    } else if (isObject(val)) {
-      replaceInObjectLiteral(val, dynamicParts);
     }
+
+    return result;
+  };
+};
+
+// Compile an object, treating the `children` of VDOM elements specially.
+const compileObject = (obj) => {
+  if (isObject(obj.attrs) && Object.keys(obj.attrs).some((key) => key.startsWith("..."))) {
+    return compileSpreadElement(obj);
   }
+
+  const keys = Object.keys(obj);
+  const builders = keys.map((key) =>
+    key === "children" && Array.isArray(obj[key]) ? compileChildren(obj[key]) : compileValue(obj[key])
+  );
+  const len = keys.length;
+
+  return (dynamicParts) => {
+    const result = {};
+
+    for (let i = 0; i < len; i++) {
+      result[keys[i]] = builders[i](dynamicParts);
+    }
+
+    return result;
+  };
 };
 
-// `vdom` template tag, using the VDOM parsed templates cache from above.
+// `vdom` template tag, using the VDOM compiled templates cache from above.
 export const vdom = (tplParts, ...dynamicParts) => {
   // The key for our cache is just the string parts, joined together with a unique joiner string.
   const cacheKey = tplParts.join("vdom_tpl_joiner");
 
   try {
-    // If we don't have the template in cache, we need to put a translator function
-    // in the cache now.
+    // If we don't have the template in cache, we need to compile it and put
+    // the compiled template in the cache now.
     if (!VDOM_CACHE.has(cacheKey)) {
       // Generate placeholder string values for each dynamic value in the template
       const dpPlaceholders = dynamicParts.map((_obj, i) => `vdom_tpl_obj_[${i}]`);
 
       // Make a new reader, interpolating the template's static and dynamic parts together.
-      const reader = new Reader(
-        interpolate(
-          tplParts.map((part) => part.replace(/\s+/g, " ")),
-          dpPlaceholders
-        )
-      );
+      const reader = new Reader(interpolate(tplParts, dpPlaceholders));
 
       // Parse the template and take the first child, if there are more, as the element we care about.
       const result = parseTemplate(reader)[0];
-      const resultType = typeof result;
-      const resultString = JSON.stringify(result);
-
-      // Put a function into the cache that translates an array of the dynamic parts of a template
-      // into the full VDOM for the template.
-      VDOM_CACHE.set(cacheKey, (dynamicParts) => {
-        if (resultType === "string") {
-          // If the result of the template is just a string, replace stuff in the string
-          return replaceInString(result, dynamicParts);
-        } else if (resultType === "object") {
-          // Recall that the template translating functions above mutate the object passed
-          // in wherever possible. so we make a brand-new object to represent a new result.
-          const target = {};
-
-          // Since the non-dynamic parts of VDOM objects are by definition completely JSON
-          // serializable, this is a good enough way to deep-copy the cached result of `parseTemplate()`.
-          const template = JSON.parse(resultString);
-          replaceInObjectLiteral(Object.assign(target, template), dynamicParts);
-
-          return target;
-        }
 
-        return null;
-      });
+      if (typeof result === "string") {
+        // If the result of the template is just a string, replace stuff in the string
+        VDOM_CACHE.set(cacheKey, compileString(result));
+      } else if (isObject(result)) {
+        VDOM_CACHE.set(cacheKey, compileObject(result));
+      } else {
+        VDOM_CACHE.set(cacheKey, () => null);
+      }
     }
 
-    // Now that we have a translator function in the cache, call that to get a new template result.
+    // Now that we have a compiled template in cache, call that to get a new template result.
     return VDOM_CACHE.get(cacheKey)(dynamicParts);
   } catch (e) {
-    console.error(
-      `vdom parse error.\ncheck for mismatched brackets, tags, quotes.\n${interpolate(tplParts, dynamicParts)}\n${
-        e.stack || e
-      }`
-    );
+    // Parse errors describe dynamic parts by their placeholders, so we show those as `${…}`.
+    const message = String(e.message || e).replace(/vdom_tpl_obj_\[\d+\]/g, "${…}");
+
+    console.error(`vdom parse error: ${message}\n${interpolate(tplParts, dynamicParts)}\n${e.stack || e}`);
     return "";
   }
 };
@@ -811,10 +811,6 @@ export class TerrainApp {
       toggleMinimap(enabled) {
         this.app.config.showMinimap = enabled;
         this.render();
-        if (enabled) {
-          // Render minimap after rerender
-          setTimeout(() => this.updateMinimap(), 50);
-        }
       }
 
       toggleWebWorker(enabled) {
@@ -906,7 +902,6 @@ export class TerrainApp {
         this.app.lastMouseY = e.clientY;
 
         this.render();
-        setTimeout(() => this.updateMinimapViewport(), 10);
       }
 
       endPan() {
@@ -927,7 +922,6 @@ export class TerrainApp {
 
         this.app.config.zoom = newZoom;
         this.render();
-        setTimeout(() => this.updateMinimapViewport(), 10);
       }
 
       clickMinimap(e) {
@@ -944,7 +938,14 @@ export class TerrainApp {
         this.app.config.panY = -(y - viewportHeight / 2) * this.app.config.height;
 
         this.render();
-        setTimeout(() => this.updateMinimapViewport(), 10);
+      }
+
+      // Redraw the minimap once every re-render has reached the DOM, since
+      // the minimap canvas may have just been added by that render.
+      updated() {
+        if (this.app.config.showMinimap) {
+          this.updateMinimap();
+        }
       }
 
       updateMinimap() {
@@ -982,7 +983,6 @@ export class TerrainApp {
       zoomIn() {
         this.app.config.zoom = Math.min(5, this.app.config.zoom + 0.5);
         this.render();
-        setTimeout(() => this.updateMinimapViewport(), 10);
       }
 
       zoomOut() {
@@ -992,7 +992,6 @@ export class TerrainApp {
           this.app.config.panY = 0;
         }
         this.render();
-        setTimeout(() => this.updateMinimapViewport(), 10);
       }
 
       resetZoom() {
@@ -1000,7 +999,6 @@ export class TerrainApp {
         this.app.config.panX = 0;
         this.app.config.panY = 0;
         this.render();
-        setTimeout(() => this.updateMinimap(), 10);
       }
 
       toggleAnimatedGeneration(enabled) {
@@ -1410,7 +1408,8 @@ export class TerrainApp {
 
       regenerate() {
         const seed = this.app.currentSeed ? parseInt(this.app.currentSeed) : Date.now();
-        this.app.generate(seed, this.node);
+        // Re-render once the terrain is drawn, so updated() redraws the minimap from it
+        this.app.generate(seed, this.node, () => this.render());
       }
 
       regenerateAnimated() {
@@ -1426,8 +1425,9 @@ export class TerrainApp {
    * Generate and render terrain
    * @param {number} seed - Random seed
    * @param {HTMLElement} containerNode - Container DOM node
+   * @param {Function} [onRendered] - Called once the terrain has been drawn
    */
-  generate(seed, containerNode) {
+  generate(seed, containerNode, onRendered) {
     // Update generator with new seed
     this.generator.setSeed(seed);
     this.currentSeed = this.generator.config.seed;
@@ -1461,12 +1461,8 @@ export class TerrainApp {
         seedInput.value = this.currentSeed;
       }
 
-      // Update minimap if visible
-      if (this.config.showMinimap) {
-        const component = this.createComponent();
-        if (component.updateMinimap) {
-          setTimeout(() => component.updateMinimap.call(component), 10);
-        }
+      if (onRendered) {
+        onRendered();
       }
     }, 0);
   }